@@ -0,0 +1,143 @@
+import DataLoader from "dataloader";
+import mongoose from "mongoose";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Record from "../models/Record.js";
+import User from "../models/User.js";
+import { formatRecord } from "../utils/formatRecord.js";
+import { withComputedValues } from "../utils/recordsPipeline.js";
+import { hasAccess } from "../utils/permissions.js";
+
+/**
+ * Creates the per-request DataLoaders.
+ *
+ * Loaders are built once per request in the Apollo `context`, so every query they run is
+ * scoped to the current user's tenant and the cache never leaks between users.
+ * Soft-deleted databases and records are never returned, neither are databases (and their
+ * records) hidden from the user by the database's access list. Records come back with
+ * their computed values filled in.
+ */
+export const createLoaders = (user) => {
+  const tenantId = user.tenantId;
+
+  // Live database definitions the user may view, by ID.
+  const databaseById = new DataLoader(async (ids) => {
+    const databases = await DatabaseDefinition.find({
+      _id: { $in: ids },
+      tenantId,
+      isDeleted: false,
+    });
+    const byId = new Map(
+      databases
+        .filter((database) => hasAccess(database, user, "VIEW"))
+        .map((database) => [database._id.toString(), database])
+    );
+    return ids.map((id) => byId.get(id) || null);
+  });
+
+  // Fills in computed values (formulas) for records that all belong to one database
+  const computeValues = async (databaseId, records) => {
+    const database = await databaseById.load(databaseId.toString());
+    return withComputedValues(database, records, user);
+  };
+
+  // Live records by ID, formatted for GraphQL. Missing or deleted records resolve to null.
+  const recordById = new DataLoader(async (ids) => {
+    const records = await Record.find({
+      _id: { $in: ids },
+      tenantId,
+      isDeleted: false,
+    });
+
+    const byDatabase = new Map();
+    for (const record of records) {
+      const databaseId = record.databaseId.toString();
+      if (!byDatabase.has(databaseId)) byDatabase.set(databaseId, []);
+      byDatabase.get(databaseId).push(record);
+    }
+
+    const byId = new Map();
+    await Promise.all(
+      Array.from(byDatabase.entries()).map(async ([databaseId, group]) => {
+        // Records of databases the user cannot see resolve to null
+        if (!(await databaseById.load(databaseId))) return;
+        for (const record of await computeValues(databaseId, group)) {
+          byId.set(record._id.toString(), formatRecord(record));
+        }
+      })
+    );
+    return ids.map((id) => byId.get(id) || null);
+  });
+
+  // For a target database ID, every relation field (in any live database of the tenant
+  // the user may view) that points at it, as a list of { database, field }.
+  const relationFieldsByTarget = new DataLoader(async (targetIds) => {
+    const databases = (
+      await DatabaseDefinition.find({
+        tenantId,
+        isDeleted: false,
+        "fields.relation": { $in: targetIds },
+      })
+    ).filter((database) => hasAccess(database, user, "VIEW"));
+
+    return targetIds.map((targetId) =>
+      databases.flatMap((database) =>
+        database.fields
+          .filter(
+            (field) =>
+              field.type === "relation" && field.relation?.toString() === targetId
+          )
+          .map((field) => ({ database, field }))
+      )
+    );
+  });
+
+  // Records of a source database whose relation field links to a given record.
+  // Keys look like "<sourceDatabaseId>|<fieldName>|<recordId>"; all keys for the same
+  // source field are answered by a single query.
+  const backlinkRecords = new DataLoader(async (keys) => {
+    const groups = new Map();
+    for (const key of keys) {
+      const [databaseId, fieldName, recordId] = key.split("|");
+      const groupKey = `${databaseId}|${fieldName}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { databaseId, fieldName, recordIds: [] });
+      groups.get(groupKey).recordIds.push(recordId);
+    }
+
+    const results = new Map();
+    await Promise.all(
+      Array.from(groups.values()).map(async ({ databaseId, fieldName, recordIds }) => {
+        const path = `values.${fieldName}`;
+        const linking = await Record.find({
+          tenantId,
+          databaseId,
+          isDeleted: false,
+          [path]: { $in: recordIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        }).sort({ createdAt: 1 });
+        const withValues = await computeValues(databaseId, linking);
+
+        for (const recordId of recordIds) {
+          results.set(
+            `${databaseId}|${fieldName}|${recordId}`,
+            linking
+              .map((record, index) => ({ record, formatted: withValues[index] }))
+              .filter(({ record }) =>
+                [].concat(record.values.get(fieldName) ?? []).some((id) => id.toString() === recordId)
+              )
+              .map(({ formatted }) => formatRecord(formatted))
+          );
+        }
+      })
+    );
+
+    return keys.map((key) => results.get(key) || []);
+  });
+
+  // Members of the tenant by ID, without their password hash. Removed users resolve to null.
+  const userById = new DataLoader(async (ids) => {
+    const users = await User.find({ _id: { $in: ids }, tenantId }).select("-password");
+    const byId = new Map(users.map((member) => [member._id.toString(), member]));
+    return ids.map((id) => byId.get(id) || null);
+  });
+
+  return { recordById, databaseById, relationFieldsByTarget, backlinkRecords, userById };
+};
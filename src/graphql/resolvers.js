@@ -1,13 +1,345 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import Tenant from "../models/Tenant.js";
 import { UserInputError } from "apollo-server-express";
 import { AuthenticationError, ForbiddenError } from "apollo-server-express";
-import DatabaseDefinition from "../models/databaseDefinition.js";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
 import Record from "../models/Record.js";
-import mongoose from "mongoose";
-import ActivityLog from "../models/ActivityLog.js";
+import ActivityLog, { ACTIVITY_ACTIONS } from "../models/ActivityLog.js";
+import {
+  assertValidFieldName,
+  checkUniqueValues,
+  validateRecordValues,
+} from "../utils/recordValidation.js";
+import {
+  buildRecordsPipeline,
+  resolveRecordSort,
+  withComputedValues,
+} from "../utils/recordsPipeline.js";
+import { prepareFormulaFields } from "../utils/formula.js";
+import {
+  migrateFieldValues,
+  planFieldUpdate,
+  renameRollupTargets,
+} from "../utils/fieldMigration.js";
+import { prepareRollupFields } from "../utils/rollup.js";
+import {
+  assertConstraintsHold,
+  prepareFieldConstraints,
+} from "../utils/fieldConstraints.js";
+import View from "../models/View.js";
+import Invitation from "../models/Invitation.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import {
+  ACCESS_LEVELS,
+  assertAccess,
+  getAccessLevel,
+  hasAccess,
+} from "../utils/permissions.js";
+import {
+  applyView,
+  prepareViewInput,
+  resolveViewFilter,
+  resolveViewSort,
+} from "../utils/views.js";
+import {
+  buildConnection,
+  buildCursorMatch,
+  buildSortStage,
+  decodeCursor,
+  readPaginationArgs,
+} from "../utils/pagination.js";
+import { formatRecord, getRecordValue } from "../utils/formatRecord.js";
+import RecordRevision from "../models/RecordRevision.js";
+import {
+  diffValues,
+  pruneTenantRevisions,
+  recordRevision,
+  restorableValues,
+  snapshotValues,
+} from "../utils/revisions.js";
+import {
+  EXPORT_FORMATS,
+  exportFilename,
+  exportRecords,
+} from "../utils/exportRecords.js";
+import {
+  inferFieldType,
+  insertImportedRows,
+  readImportData,
+  resolveColumnMapping,
+} from "../utils/importRecords.js";
+import {
+  purgeDatabase,
+  purgeDate,
+  purgeRecords,
+} from "../utils/trash.js";
+import { subscribe } from "../utils/pubsub.js";
+import {
+  publishRecordChanged,
+  publishSchemaChanged,
+  topics,
+} from "../utils/events.js";
+import { createLoaders } from "./loaders.js";
+import {
+  activityLogExportFilename,
+  buildActivityLogMatch,
+  changedValues,
+  exportActivityLogs,
+  fieldDefinition,
+  viewSettings,
+  webhookSettings,
+} from "../utils/auditLog.js";
+import {
+  bulkCreateRecords,
+  bulkDeleteRecords,
+  bulkUpdateRecords,
+} from "../utils/bulkRecords.js";
+import Session from "../models/Session.js";
+import PasswordResetToken from "../models/PasswordResetToken.js";
+import {
+  hashNewPassword,
+  normalizeEmail,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  startSession,
+} from "../utils/auth.js";
+import { passwordResetEmail, sendMail } from "../utils/mailer.js";
+import ApiKey from "../models/ApiKey.js";
+import {
+  assertNotApiKey,
+  assertNotScopedApiKey,
+  generateApiKey,
+  prepareApiKeyInput,
+} from "../utils/apiKeys.js";
+import { searchWorkspace } from "../utils/search.js";
+import {
+  buildAggregateStages,
+  shapeAggregates,
+} from "../utils/recordAggregates.js";
+import DatabaseTemplate from "../models/DatabaseTemplate.js";
+import {
+  SELF_RELATION,
+  buildDatabase,
+  copyRecords,
+  copyableField,
+  insertSampleRecords,
+  prepareSampleRecords,
+  saveNewDatabase,
+} from "../utils/databaseCopy.js";
+import {
+  deleteSavedTemplate,
+  findTemplate,
+  listTemplates,
+  savedTemplateEntry,
+  templateFromDatabase,
+} from "../utils/databaseTemplates.js";
+import {
+  PLANS,
+  assertCanAddDatabases,
+  assertCanAddFields,
+  assertCanAddMember,
+  assertCanAddRecords,
+  getUsage,
+} from "../utils/plans.js";
+import { queryCostSpent } from "../utils/queryCost.js";
+import { identifyContext } from "../utils/rateLimitStore.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import {
+  attemptDelivery,
+  generateWebhookSecret,
+  isValidWebhookUrl,
+} from "../utils/webhooks.js";
+
+// Finds a live database of the current user's tenant and checks the user's access level on it.
+// Databases hidden from the user are reported exactly like missing ones.
+const findReadableDatabase = async (databaseId, context, required = "VIEW") => {
+  const database = await DatabaseDefinition.findOne({
+    _id: databaseId,
+    tenantId: context.user.tenantId,
+    isDeleted: false,
+  });
+  if (!database || !hasAccess(database, context.user, "VIEW")) {
+    throw new Error(
+      "Database not found or you don't have permission to view it."
+    );
+  }
+  assertAccess(database, context.user, required);
+  return database;
+};
+
+const ROLES = ["Admin", "Editor", "Viewer"];
+
+// How long an invitation token stays valid
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How long a password reset token stays valid
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Whether the user can (still) view a database, for filtering subscription events.
+const canViewDatabase = async (
+  databaseId,
+  context,
+  { includeDeleted = false } = {}
+) => {
+  const database = await DatabaseDefinition.findOne({
+    _id: databaseId,
+    tenantId: context.user.tenantId,
+    ...(includeDeleted ? {} : { isDeleted: false }),
+  });
+  return Boolean(database) && hasAccess(database, context.user, "VIEW");
+};
+
+// The databases whose activity log entries a user may read, or null for all of them
+// (Admins, unless using a database-scoped API key). Trashed databases count too, so their
+// history stays visible to the people who had access.
+const visibleLogDatabaseIds = async (user) => {
+  if (user.role === "Admin" && !(user.apiKey?.scopes?.length > 0)) return null;
+  const databases = await DatabaseDefinition.find({ tenantId: user.tenantId });
+  return databases
+    .filter((database) => hasAccess(database, user, "VIEW"))
+    .map((database) => database._id);
+};
+
+// Validates a WebhookInput and returns the fields to store on the Webhook.
+const prepareWebhookInput = async (input, context) => {
+  if (!isValidWebhookUrl(input.url)) {
+    throw new UserInputError(
+      "The webhook URL must be an absolute http(s) URL."
+    );
+  }
+
+  const events = [...new Set(input.events)];
+  if (events.length === 0) {
+    throw new UserInputError("A webhook needs at least one event.");
+  }
+  const unknown = events.filter((event) => !ACTIVITY_ACTIONS.includes(event));
+  if (unknown.length > 0) {
+    throw new UserInputError(`Unknown events: ${unknown.join(", ")}.`, {
+      allowedEvents: ACTIVITY_ACTIONS,
+    });
+  }
+
+  if (input.databaseId) {
+    await findReadableDatabase(input.databaseId, context);
+  }
+
+  return {
+    url: input.url,
+    events,
+    databaseId: input.databaseId || null,
+    description: input.description,
+    isActive: input.isActive ?? true,
+  };
+};
+
+// Throws when restoring values onto a record would repeat a unique value of another record.
+const assertRestoredValuesUnique = async (database, values, record, context) => {
+  const fieldErrors = await checkUniqueValues(database, values, {
+    tenantId: context.user.tenantId,
+    recordIds: [record._id],
+  });
+  if (fieldErrors.length > 0) {
+    throw new UserInputError(
+      "The record can't be restored: another record already has one of its unique values.",
+      { fieldErrors }
+    );
+  }
+};
+
+// Throws when a change would leave the tenant without any Admin.
+const assertNotLastAdmin = async (user) => {
+  if (user.role !== "Admin") return;
+  const adminCount = await User.countDocuments({
+    tenantId: user.tenantId,
+    role: "Admin",
+  });
+  if (adminCount <= 1) {
+    throw new UserInputError(
+      "This is the last Admin of the workspace. Promote another user to Admin first."
+    );
+  }
+};
+
+// Merges a saved view of the database into the arguments of a records query.
+const withView = async (viewId, database, args, context) => {
+  if (!viewId) return args;
+
+  const view = await View.findOne({
+    _id: viewId,
+    databaseId: database._id,
+    tenantId: context.user.tenantId,
+    isDeleted: false,
+  });
+  if (!view) {
+    throw new UserInputError("View not found in this database.");
+  }
+  return applyView(view, database, args);
+};
+
+// Whether an activity log before/after is an object of keyed values (and not e.g. a role string)
+const isPlainSnapshot = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The before/after of an activity log entry for changed settings: only the keys that changed
+const changedSettings = (previous, next) => {
+  const { before, after } = changedValues(previous, next);
+  return { before, after };
+};
+
+// Logs one summarized entry for a bulk record mutation and shapes its payload.
+// Written records are returned with their computed values; deleted ones are not returned.
+const finishBulkMutation = async (
+  action,
+  database,
+  { results, records },
+  details,
+  context
+) => {
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const summary = {
+    succeeded: count("SUCCEEDED"),
+    failed: count("FAILED"),
+    skipped: count("SKIPPED"),
+  };
+
+  if (records.length > 0) {
+    // --- ADDING LOGGING STEP ---
+    // One entry for the whole operation
+
+    await ActivityLog.create({
+      tenantId: context.user.tenantId,
+      userId: context.user._id,
+      apiKeyId: context.user.apiKeyId,
+      action,
+      details: {
+        databaseId: database._id,
+        ...details,
+        requested: results.length,
+        ...summary,
+        // The first 100 IDs keep the entry small; the record history has them all
+        recordIds: records.slice(0, 100).map((record) => record._id),
+      },
+    });
+  }
+
+  const withValues =
+    action === "BULK_DELETE_RECORDS"
+      ? []
+      : await withComputedValues(database, records, context.user);
+  const byId = new Map(withValues.map((record) => [record._id.toString(), record]));
+
+  return {
+    committed: records.length > 0,
+    ...summary,
+    results: results.map((result) => {
+      const record = result.record && byId.get(result.record._id.toString());
+      return { ...result, record: record ? formatRecord(record) : null };
+    }),
+  };
+};
 
 const resolvers = {
   Query: {
@@ -26,7 +358,10 @@ const resolvers = {
         isDeleted: false,
       });
 
-      return userDatabases;
+      // Leave out the databases hidden from this user by their access lists
+      return userDatabases.filter((database) =>
+        hasAccess(database, context.user, "VIEW")
+      );
     },
 
     // Resolver for fetching a single database
@@ -44,7 +379,7 @@ const resolvers = {
         isDeleted: false,
       });
 
-      if (!singleDatabase) {
+      if (!singleDatabase || !hasAccess(singleDatabase, context.user, "VIEW")) {
         throw new Error(
           "Database not found or you don't have permission to view it."
         );
@@ -53,75 +388,37 @@ const resolvers = {
       return singleDatabase;
     },
 
-    records: async (
-      _,
-      { databaseId, filter, sort, page, limit, search },
-      context
-    ) => {
+    records: async (_, { databaseId, viewId, page, ...args }, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
 
-      // We now start with an empty aggregation pipeline array.
-
-      const pipeline = [];
-
-      //Match documents securely. This is our base filter.
-
-      pipeline.push({
-        $match: {
-          databaseId: new mongoose.Types.ObjectId(databaseId),
-          tenantId: context.user.tenantId,
-          isDeleted: false,
-        },
-      });
-
-      //Keyword Search (if provided)
-
-      if (search) {
-        // First, find the database definition to identify which fields are text-based.
-        const dbDefinition = await DatabaseDefinition.findById(databaseId);
-        if (dbDefinition) {
-          const textFields = dbDefinition.fields
-            .filter((field) => field.type === "text")
-            .map((field) => field.name);
-
-          if (textFields.length > 0) {
-            // Create an $or condition to search across all text fields.
-            const searchOrConditions = textFields.map((fieldName) => ({
-              [`values.${fieldName}`]: { $regex: search, $options: "i" },
-            }));
+      // Load the database definition once, search, filter and sort all need its fields.
+      const dbDefinition = await findReadableDatabase(databaseId, context);
 
-            pipeline.push({ $match: { $or: searchOrConditions } });
-          }
-        }
-      }
-
-      // --- ADD NEW FILTER STAGES ---
+      // A saved view supplies its filter, sort and page size
+      const { filter, sort, search, limit, pageSize } = await withView(
+        viewId,
+        dbDefinition,
+        args,
+        context
+      );
 
-      //Add user's filter conditions, if they exist.
-      // We add another $match stage for the user's custom filter.
-      if (filter) {
-        const filterQuery = {};
-        for (const [fieldName, condition] of Object.entries(filter)) {
-          filterQuery[`values.${fieldName}`] = condition;
-        }
-        pipeline.push({ $match: filterQuery });
-      }
+      // Tenant scoping, search and filter stages
+      const pipeline = await buildRecordsPipeline(
+        dbDefinition,
+        { filter, search },
+        context.user.tenantId,
+        context.user
+      );
 
-      if (sort) {
-        const sortOrder = sort.order.toLowerCase() === "desc" ? -1 : 1;
-        pipeline.push({
-          $sort: {
-            [`values.${sort.field}`]: sortOrder,
-          },
-        });
-      }
+      const { path, direction } = resolveRecordSort(sort, dbDefinition);
+      pipeline.push(buildSortStage(path, direction));
 
       // --- ADD NEW PAGINATION STAGES ---
 
       // Set default values for pagination
       const pageNum = page && page > 0 ? page : 1;
-      const limitNum = limit && limit > 0 ? limit : 20; // Default limit of 20 records
+      const limitNum = limit && limit > 0 ? limit : pageSize || 20; // Default limit of 20 records
       const skipNum = (pageNum - 1) * limitNum;
 
       //Skip documents for previous pages
@@ -134,540 +431,3036 @@ const resolvers = {
       const recordsFromDB = await Record.aggregate(pipeline);
 
       //Format the results. The output of .aggregate() is a plain JS object,
-      const formattedRecords = recordsFromDB.map((record) => ({
-        ...record,
-        values: Array.from(Object.entries(record.values || {})).map(
-          ([field, value]) => ({
-            field,
-            value,
-          })
-        ),
-      }));
+      const formattedRecords = recordsFromDB.map(formatRecord);
 
       return formattedRecords;
     },
+
+    recordsConnection: async (_, { databaseId, viewId, ...args }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const dbDefinition = await findReadableDatabase(databaseId, context);
+      const { filter, sort, search, pageSize, ...paginationArgs } =
+        await withView(viewId, dbDefinition, args, context);
+
+      const pipeline = await buildRecordsPipeline(
+        dbDefinition,
+        { filter, search },
+        context.user.tenantId,
+        context.user
+      );
+      const { path, direction } = resolveRecordSort(sort, dbDefinition);
+      const pagination = readPaginationArgs(paginationArgs, pageSize || 20);
+
+      // The page itself: resume after the cursor, fetch one extra to detect a next page
+      const pagePipeline = [...pipeline];
+      if (pagination.after) {
+        const cursor = decodeCursor(pagination.after, path);
+        pagePipeline.push({ $match: buildCursorMatch(path, direction, cursor) });
+      }
+      pagePipeline.push(buildSortStage(path, direction));
+      if (pagination.skip) pagePipeline.push({ $skip: pagination.skip });
+      pagePipeline.push({ $limit: pagination.size + 1 });
+
+      const [recordsFromDB, [counted]] = await Promise.all([
+        Record.aggregate(pagePipeline),
+        Record.aggregate([...pipeline, { $count: "totalCount" }]),
+      ]);
+
+      return buildConnection(
+        recordsFromDB,
+        pagination,
+        counted?.totalCount ?? 0,
+        path,
+        formatRecord
+      );
+    },
+
+    recordAggregates: async (
+      _,
+      { databaseId, viewId, groupBy, metrics, ...args },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const dbDefinition = await findReadableDatabase(databaseId, context);
+      const { filter, search } = await withView(
+        viewId,
+        dbDefinition,
+        args,
+        context
+      );
+
+      // Same scoping, computed fields, search and filter as recordsConnection
+      const pipeline = await buildRecordsPipeline(
+        dbDefinition,
+        { filter, search },
+        context.user.tenantId,
+        context.user
+      );
+      const aggregate = buildAggregateStages(dbDefinition, {
+        groupBy,
+        metrics,
+      });
+
+      const result = await Record.aggregate([...pipeline, ...aggregate.stages]);
+      const { groups, totals } = shapeAggregates(aggregate, result);
+
+      return { groups, totals, totalCount: totals.count };
+    },
+
+    search: async (_, { query, limit }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const groups = await searchWorkspace(query, context.user, {
+        limit: limit ?? undefined,
+      });
+
+      return groups.map((group) => ({
+        ...group,
+        records: group.records.map((hit) => ({
+          ...hit,
+          record: formatRecord(hit.record),
+        })),
+      }));
+    },
+
     record: async (_, { id }, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
 
-      // 1. Fetch the raw record from the database
+      // 1. Fetch the raw record from the database, trashed records are not returned
       const recordFromDB = await Record.findOne({
         _id: id,
         tenantId: context.user.tenantId,
+        isDeleted: false,
       });
 
       if (!recordFromDB) {
         return null; // Or throw an error
       }
 
-      // 2. Manually format the single record to match the GraphQL schema shape
-      const formattedRecord = {
-        ...recordFromDB.toObject(),
-        values: Array.from(recordFromDB.values.entries()).map(
-          ([field, value]) => ({
-            field,
-            value,
-          })
-        ),
-      };
+      // 2. Fill in computed values (formulas) from the record's database.
+      // The loader only returns databases this user may view.
+      const database = await context.loaders.databaseById.load(
+        recordFromDB.databaseId.toString()
+      );
+      if (!database) {
+        return null;
+      }
+      const [recordWithValues] = await withComputedValues(
+        database,
+        [recordFromDB],
+        context.user
+      );
 
-      return formattedRecord;
+      // 3. Format the single record to match the GraphQL schema shape
+      return formatRecord(recordWithValues);
     },
 
-    activityLogs: async (_, { limit, page }, context) => {
+    // The current user's tenant and its settings
+    tenant: async (_, __, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
 
-      //Pagination Logic
-      const pageNum = page && page > 0 ? page : 1;
-      const limitNum = limit && limit > 0 ? limit : 25;
-      const skipNum = (pageNum - 1) * limitNum;
+      return Tenant.findById(context.user.tenantId);
+    },
 
-      //Fetch logs for the current tenant only, sorted by most recent first
-      const logs = await ActivityLog.find({ tenantId: context.user.tenantId })
-        .sort({ createdAt: -1 })
-        .skip(skipNum)
-        .limit(limitNum);
+    trash: async (_, { type }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
 
-      return logs;
-    },
-  },
+      const tenant = await Tenant.findById(context.user.tenantId);
+      const items = [];
 
-  Mutation: {
-    login: async (_, { email, password }) => {
-      const user = await User.findOne({ email });
-      if (!user) {
-        throw new UserInputError("Invalid Credentials");
+      // Trashed databases the user can still see on their access list
+      if (!type || type === "DATABASE") {
+        const databases = await DatabaseDefinition.find({
+          tenantId: context.user.tenantId,
+          isDeleted: true,
+        });
+        for (const database of databases) {
+          if (!hasAccess(database, context.user, "VIEW")) continue;
+          items.push({
+            type: "DATABASE",
+            _id: database._id,
+            name: database.name,
+            databaseId: database._id,
+            deletedAt: database.deletedAt,
+            deletedBy: database.deletedBy,
+            purgeAt: purgeDate(database.deletedAt, tenant.trashRetentionDays),
+            database,
+          });
+        }
       }
-      const validPassword = await bcrypt.compare(password, user.password);
-      if (!validPassword) {
-        throw new UserInputError("Invalid credentials");
+
+      // Records deleted on their own; records trashed with a database are part of it.
+      // Only records of live databases the user can view are listed.
+      if (!type || type === "RECORD") {
+        const records = await Record.find({
+          tenantId: context.user.tenantId,
+          isDeleted: true,
+          deletedWithDatabase: { $ne: true },
+        });
+        for (const record of records) {
+          const database = await context.loaders.databaseById.load(
+            record.databaseId.toString()
+          );
+          if (!database) continue;
+          items.push({
+            type: "RECORD",
+            _id: record._id,
+            name: null,
+            databaseId: record.databaseId,
+            deletedAt: record.deletedAt,
+            deletedBy: record.deletedBy,
+            purgeAt: purgeDate(record.deletedAt, tenant.trashRetentionDays),
+            database,
+            record: formatRecord(record),
+          });
+        }
       }
 
-      const token = jwt.sign(
-        { id: user._id, role: user.role, tenantId: user.tenantId },
-        process.env.JWT_SECRET,
-        { expiresIn: "1d" }
+      // Most recently deleted first
+      return items.sort(
+        (a, b) => (b.deletedAt?.getTime() || 0) - (a.deletedAt?.getTime() || 0)
       );
+    },
+
+    exportDatabase: async (_, { id, format }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(id, context);
+
+      // Same stream as the /databases/:id/export route, collected into one string
+      let data = "";
+      for await (const chunk of exportRecords(database, context.user, format)) {
+        data += chunk;
+      }
 
       return {
-        token,
-        user,
+        filename: exportFilename(database, format),
+        contentType: EXPORT_FORMATS[format].contentType,
+        data,
       };
     },
 
-    signup: async (_, { username, email, password }) => {
-      if (!username || !email || !password) {
-        throw new UserInputError(
-          "Please provide username, email, and password."
+    // Dry run of updateField: reports what would happen to the stored values
+    previewFieldUpdate: async (_, { databaseId, fieldId, field }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(
+        databaseId,
+        context,
+        "FULL_ACCESS"
+      );
+
+      // Same checks as the real update, on an in-memory copy that is never saved
+      const existingField = database.fields.id(fieldId);
+      const previousDefinition = existingField && fieldDefinition(existingField);
+      const { before, after, updatedReferences } = planFieldUpdate(
+        database,
+        fieldId,
+        field
+      );
+      await prepareRollupFields(database);
+      prepareFormulaFields(database.fields);
+      prepareFieldConstraints(database);
+      await assertConstraintsHold(database, database.fields.id(fieldId), {
+        storedName: before.name,
+        previous: previousDefinition,
+      });
+
+      const migration = await migrateFieldValues(database, before, after, {
+        dryRun: true,
+      });
+      if (before.name !== after.name) {
+        updatedReferences.push(
+          ...(await renameRollupTargets(database, before.name, after.name, {
+            dryRun: true,
+          }))
         );
       }
 
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        throw new UserInputError("User with this email already exists.");
+      return { ...migration, updatedReferences };
+    },
+
+    // Dry run of deleteField
+    previewFieldDelete: async (_, { databaseId, fieldId }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(
+        databaseId,
+        context,
+        "FULL_ACCESS"
+      );
+
+      const fieldToRemove = database.fields.id(fieldId);
+      if (!fieldToRemove) {
+        throw new UserInputError("Field not found in this database.");
       }
+      const removedField = { name: fieldToRemove.name, type: fieldToRemove.type };
+      fieldToRemove.deleteOne();
 
-      // Create a new Tenant for the user.
-      // Every new signup creates a new isolated workspace.
+      // Surfaces the formulas and rollups that would block the deletion
+      await prepareRollupFields(database);
+      prepareFormulaFields(database.fields);
 
-      const newTenant = new Tenant({ name: `${username}'s Workspace` });
-      await newTenant.save();
+      const migration = await migrateFieldValues(database, removedField, null, {
+        dryRun: true,
+      });
+      return { ...migration, updatedReferences: [] };
+    },
 
-      const saltRounds = 10;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
+    recordHistory: async (_, { id }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
 
-      // Create the new user and assign them to the new tenant as an Admin.
-      const newUser = new User({
-        username,
-        email,
-        password: hashedPassword,
-        tenantId: newTenant._id,
-        role: "Admin", // The first user of a tenant is always an Admin
+      // Deleted records keep their history, so they can be restored
+      const record = await Record.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
       });
-      await newUser.save();
+      if (!record) {
+        throw new UserInputError(
+          "Record not found or you don't have permission."
+        );
+      }
+      await findReadableDatabase(record.databaseId, context);
 
-      const token = jwt.sign(
-        { id: newUser._id, role: newUser.role, tenantId: newUser.tenantId },
-        process.env.JWT_SECRET,
-        { expiresIn: "1d" }
-      );
+      //Newest revision first
+      return RecordRevision.find({
+        recordId: record._id,
+        tenantId: context.user.tenantId,
+      }).sort({ createdAt: -1, _id: -1 });
+    },
+
+    usage: async (_, __, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
 
+      // Per-database usage only for the databases the user can see
+      const databases = (
+        await DatabaseDefinition.find({
+          tenantId: context.user.tenantId,
+          isDeleted: false,
+        }).sort({ name: 1 })
+      ).filter((database) => hasAccess(database, context.user, "VIEW"));
+
+      const usage = await getUsage(context.user.tenantId, databases);
       return {
-        token,
-        user: newUser,
+        ...usage,
+        queryCost: {
+          used: await queryCostSpent(identifyContext(context)),
+          limit: usage.limits.queryCostBudget,
+        },
       };
     },
 
-    createDatabase: async (_, { name }, context) => {
-      if (!context.user) {
-        throw new AuthenticationError(
-          "You must be logged in to create a database."
+    databaseTemplates: async (_, __, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      // Templates are for creating databases, which only Admins do
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
         );
       }
 
+      return listTemplates(context.user.tenantId);
+    },
+
+    webhooks: async (_, __, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
       if (context.user.role !== "Admin") {
         throw new ForbiddenError(
-          "You are not authorized to perform this action. Admin role required."
+          "You are not authorized to manage webhooks. Admin role required."
         );
       }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-      if (!name || name.trim() === "") {
-        throw new UserInputError("Database name cannot be empty.");
-      }
+      return Webhook.find({ tenantId: context.user.tenantId }).sort({
+        createdAt: 1,
+      });
+    },
 
-      //The Core Logic to create the database
-      try {
-        const newDatabase = new DatabaseDefinition({
-          name: name,
-          tenantId: context.user.tenantId,
-          fields: [],
-        });
+    apiKeys: async (_, __, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to manage API keys. Admin role required."
+        );
+      }
+      assertNotApiKey(context.user, "Managing API keys");
 
-        await newDatabase.save();
+      return ApiKey.find({ tenantId: context.user.tenantId }).sort({
+        createdAt: -1,
+      });
+    },
 
-        // --- ADDING LOGGING STEP ---
+    webhookDeliveries: async (_, { webhookId, status, limit }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to manage webhooks. Admin role required."
+        );
+      }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-        await ActivityLog.create({
-          tenantId: context.user.tenantId,
-          userId: context.user._id,
-          action: "CREATE_DATABASE",
-          details: {
-            databaseId: newDatabase._id,
-            databaseName: newDatabase.name,
-          },
-        });
+      const query = { tenantId: context.user.tenantId };
+      if (webhookId) query.webhookId = webhookId;
+      if (status) query.status = status;
 
-        return newDatabase;
-      } catch (error) {
-        if (error.code === 11000) {
-          throw new UserInputError(
-            "A database with this name already exists in your tenant."
-          );
-        }
-        throw new Error("An error occurred while creating the database.");
-      }
+      //Newest first, at most 100 per request
+      const limitNum = limit && limit > 0 ? Math.min(limit, 100) : 50;
+      return WebhookDelivery.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limitNum);
     },
 
-    updateDatabase: async (_, { id, name }, context) => {
-      if (!context.user) {
+    users: async (_, __, context) => {
+      if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      }
       if (context.user.role !== "Admin") {
         throw new ForbiddenError(
-          "You are not authorized to perform this action."
+          "You are not authorized to perform this action. Admin role required."
         );
       }
 
-      if (!name || name.trim() === "") {
-        throw new UserInputError("Database name cannot be empty.");
-      }
+      return User.find({ tenantId: context.user.tenantId })
+        .select("-password")
+        .sort({ createdAt: 1 });
+    },
+
+    invitations: async (_, __, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      // Only invitations that can still be accepted
+      return Invitation.find({
+        tenantId: context.user.tenantId,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: -1 });
+    },
+
+    views: async (_, { databaseId }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(databaseId, context);
+
+      return View.find({
+        databaseId: database._id,
+        tenantId: context.user.tenantId,
+        isDeleted: false,
+      }).sort({ createdAt: 1 });
+    },
+
+    view: async (_, { id }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const view = await View.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: false,
+      });
+
+      // A view of a deleted database is gone as well
+      if (!view || !(await context.loaders.databaseById.load(view.databaseId.toString()))) {
+        return null;
+      }
+      return view;
+    },
+
+    activityLogs: async (_, { limit, page, filter }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      //Pagination Logic
+      const pageNum = page && page > 0 ? page : 1;
+      const limitNum = limit && limit > 0 ? limit : 25;
+      const skipNum = (pageNum - 1) * limitNum;
+
+      //Fetch logs for the current tenant only, sorted by most recent first
+      const logs = await ActivityLog.find(
+        buildActivityLogMatch(
+          filter,
+          context.user.tenantId,
+          await visibleLogDatabaseIds(context.user)
+        )
+      )
+        .sort({ createdAt: -1 })
+        .skip(skipNum)
+        .limit(limitNum);
+
+      return logs;
+    },
+
+    activityLogsConnection: async (_, { filter, ...paginationArgs }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      // Most recent first, with _id as the tiebreak for entries logged in the same millisecond
+      const path = "createdAt";
+      const direction = -1;
+      const pagination = readPaginationArgs(paginationArgs, 25);
+      const baseMatch = buildActivityLogMatch(
+        filter,
+        context.user.tenantId,
+        await visibleLogDatabaseIds(context.user)
+      );
+
+      const pagePipeline = [{ $match: baseMatch }];
+      if (pagination.after) {
+        const cursor = decodeCursor(pagination.after, path);
+        pagePipeline.push({ $match: buildCursorMatch(path, direction, cursor) });
+      }
+      pagePipeline.push(buildSortStage(path, direction));
+      if (pagination.skip) pagePipeline.push({ $skip: pagination.skip });
+      pagePipeline.push({ $limit: pagination.size + 1 });
+
+      const [logs, totalCount] = await Promise.all([
+        ActivityLog.aggregate(pagePipeline),
+        ActivityLog.countDocuments(baseMatch),
+      ]);
+
+      return buildConnection(logs, pagination, totalCount, path, (log) => log);
+    },
+
+    exportActivityLogs: async (_, { filter, format }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to export the activity log. Admin role required."
+        );
+      }
+
+      let data = "";
+      for await (const chunk of exportActivityLogs(
+        buildActivityLogMatch(
+          filter,
+          context.user.tenantId,
+          await visibleLogDatabaseIds(context.user)
+        ),
+        format
+      )) {
+        data += chunk;
+      }
+
+      return {
+        filename: activityLogExportFilename(format),
+        contentType: EXPORT_FORMATS[format].contentType,
+        data,
+      };
+    },
+  },
+
+  Record: {
+    // Resolves the IDs stored in a relation field into the linked records.
+    // Deleted records and records outside the field's target database are skipped.
+    linkedRecords: async (parent, { field: fieldName }, context) => {
+      const database = await context.loaders.databaseById.load(
+        parent.databaseId.toString()
+      );
+      const field = database?.fields.find((f) => f.name === fieldName);
+      if (!field || field.type !== "relation") {
+        throw new UserInputError(
+          `"${fieldName}" is not a relation field of this database.`
+        );
+      }
+
+      const ids = [].concat(getRecordValue(parent, fieldName) ?? []);
+      const linked = await context.loaders.recordById.loadMany(
+        ids.map((id) => id.toString())
+      );
+
+      return linked.filter(
+        (record) =>
+          record &&
+          !(record instanceof Error) &&
+          record.databaseId.toString() === field.relation?.toString()
+      );
+    },
+
+    // Reverse lookup: for every relation field pointing at this record's database,
+    // the records that link to this record.
+    backlinks: async (parent, { databaseId, field }, context) => {
+      const references = await context.loaders.relationFieldsByTarget.load(
+        parent.databaseId.toString()
+      );
+
+      const wanted = references.filter(
+        (reference) =>
+          (!databaseId || reference.database._id.toString() === databaseId) &&
+          (!field || reference.field.name === field)
+      );
+
+      return Promise.all(
+        wanted.map(async (reference) => ({
+          ...reference,
+          records: await context.loaders.backlinkRecords.load(
+            `${reference.database._id}|${reference.field.name}|${parent._id}`
+          ),
+        }))
+      );
+    },
+  },
+
+  View: {
+    layout: (parent) => parent.layout.toUpperCase(),
+
+    // Fields are stored by ID, so the filter and sort always show the current field names
+    filter: async (parent, _, context) => {
+      const database = await context.loaders.databaseById.load(parent.databaseId.toString());
+      return database ? resolveViewFilter(parent, database) : null;
+    },
+
+    sort: async (parent, _, context) => {
+      const database = await context.loaders.databaseById.load(parent.databaseId.toString());
+      return database ? resolveViewSort(parent, database) : null;
+    },
+
+    // Deleted fields simply drop out; without a selection every field is visible
+    visibleFields: async (parent, _, context) => {
+      const database = await context.loaders.databaseById.load(parent.databaseId.toString());
+      if (!database) return [];
+      if (!parent.visibleFieldIds || parent.visibleFieldIds.length === 0) {
+        return database.fields;
+      }
+      return parent.visibleFieldIds
+        .map((fieldId) => database.fields.id(fieldId))
+        .filter(Boolean);
+    },
+
+    groupBy: async (parent, _, context) => {
+      if (!parent.groupByFieldId) return null;
+      const database = await context.loaders.databaseById.load(parent.databaseId.toString());
+      return database?.fields.id(parent.groupByFieldId) || null;
+    },
+  },
+
+  Database: {
+    // Relation fields in other databases of the tenant that point at this database.
+    referencedBy: (parent, _, context) =>
+      context.loaders.relationFieldsByTarget.load(parent._id.toString()),
+
+    // The sharing settings are only shown to Admins, who are the ones managing them.
+    access: (parent, _, context) => {
+      if (context.user?.role !== "Admin") return null;
+      return {
+        defaultLevel: parent.access?.defaultLevel || null,
+        members: parent.access?.members || [],
+      };
+    },
+
+    myAccess: (parent, _, context) => getAccessLevel(parent, context.user),
+  },
+
+  DatabaseAccessMember: {
+    user: (parent) => User.findById(parent.userId),
+  },
+
+  Webhook: {
+    database: (parent, _, context) =>
+      parent.databaseId
+        ? context.loaders.databaseById.load(parent.databaseId.toString())
+        : null,
+  },
+
+  ApiKey: {
+    createdBy: (parent) =>
+      parent.createdBy ? User.findById(parent.createdBy).select("-password") : null,
+  },
+
+  DatabaseTemplate: {
+    createdBy: (parent, _, context) =>
+      parent.createdBy ? context.loaders.userById.load(parent.createdBy.toString()) : null,
+  },
+
+  TemplateField: {
+    // Self-relations are shown with `relatesToSelf`, they have no database ID yet
+    relation: (parent) =>
+      parent.relation && parent.relation !== SELF_RELATION ? parent.relation : null,
+    relatesToSelf: (parent) => parent.relation === SELF_RELATION,
+    required: (parent) => Boolean(parent.required),
+    unique: (parent) => Boolean(parent.unique),
+  },
+
+  ApiKeyScope: {
+    database: (parent, _, context) =>
+      context.loaders.databaseById.load(parent.databaseId.toString()),
+  },
+
+  ActivityLog: {
+    // The acting user; null for API keys and for users removed from the tenant
+    user: (parent, _, context) =>
+      parent.userId ? context.loaders.userById.load(parent.userId.toString()) : null,
+
+    // Field-level changes when both snapshots hold record values or settings
+    changes: (parent) =>
+      isPlainSnapshot(parent.before) && isPlainSnapshot(parent.after)
+        ? diffValues(parent.before, parent.after)
+        : null,
+
+    apiKey: (parent) =>
+      parent.apiKeyId
+        ? ApiKey.findOne({ _id: parent.apiKeyId, tenantId: parent.tenantId })
+        : null,
+  },
+
+  TrashItem: {
+    deletedBy: (parent) =>
+      parent.deletedBy ? User.findById(parent.deletedBy).select("-password") : null,
+  },
+
+  RecordRevision: {
+    author: (parent) =>
+      parent.userId ? User.findById(parent.userId).select("-password") : null,
+
+    // Only the fields that changed, as { field, before, after }
+    changes: (parent) => diffValues(parent.before, parent.after),
+  },
+
+  Mutation: {
+    login: async (_, { email, password }, context) => {
+      const user = await User.findOne({ email: normalizeEmail(email) });
+      if (!user) {
+        throw new UserInputError("Invalid Credentials");
+      }
+      const validPassword = await bcrypt.compare(password, user.password);
+      if (!validPassword) {
+        throw new UserInputError("Invalid credentials");
+      }
+
+      // Opens a session: a short-lived access token plus a rotating refresh token
+      return startSession(user, context.req);
+    },
+
+    signup: async (_, { username, email: rawEmail, password }, context) => {
+      const email = normalizeEmail(rawEmail);
+      if (!username || !email || !password) {
+        throw new UserInputError(
+          "Please provide username, email, and password."
+        );
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        throw new UserInputError("User with this email already exists.");
+      }
+
+      // Create a new Tenant for the user.
+      // Every new signup creates a new isolated workspace.
+
+      const newTenant = new Tenant({ name: `${username}'s Workspace` });
+      await newTenant.save();
+
+      const saltRounds = 10;
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+      // Create the new user and assign them to the new tenant as an Admin.
+      const newUser = new User({
+        username,
+        email,
+        password: hashedPassword,
+        tenantId: newTenant._id,
+        role: "Admin", // The first user of a tenant is always an Admin
+      });
+      await newUser.save();
+
+      return startSession(newUser, context.req);
+    },
+
+    acceptInvite: async (_, { token, username, password }, context) => {
+      if (!token || !username || !password) {
+        throw new UserInputError(
+          "Please provide the invitation token, a username and a password."
+        );
+      }
+
+      const invitation = await Invitation.findOne({
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+      if (!invitation) {
+        throw new UserInputError("This invitation is invalid or has expired.");
+      }
+
+      const existingUser = await User.findOne({ email: invitation.email });
+      if (existingUser) {
+        throw new UserInputError("User with this email already exists.");
+      }
+      // The plan may have been downgraded since the invitation was sent
+      await assertCanAddMember(invitation.tenantId);
+
+      const saltRounds = 10;
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+      // Join the inviting tenant with the role chosen by the Admin
+      const newUser = new User({
+        username,
+        email: invitation.email,
+        password: hashedPassword,
+        tenantId: invitation.tenantId,
+        role: invitation.role,
+      });
+
+      try {
+        await newUser.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new UserInputError("This username is already taken.");
+        }
+        throw error;
+      }
+
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: newUser.tenantId,
+        userId: newUser._id,
+        action: "ACCEPT_INVITE",
+        details: { invitationId: invitation._id, role: newUser.role },
+      });
+
+      return startSession(newUser, context.req);
+    },
+
+    refreshToken: async (_, { refreshToken }) => refreshSession(refreshToken),
+
+    logout: async (_, __, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      assertNotApiKey(context.user, "Logging out");
+
+      await revokeSession(context.session._id, "LOGOUT");
+      return true;
+    },
+
+    logoutAllSessions: async (_, __, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      assertNotApiKey(context.user, "Logging out");
+
+      await revokeAllSessions(context.user._id, "LOGOUT_ALL");
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "LOGOUT_ALL_SESSIONS",
+        details: {},
+      });
+
+      return true;
+    },
+
+    changePassword: async (_, { currentPassword, newPassword }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      assertNotApiKey(context.user, "Changing a password");
+
+      // context.user is loaded without the password hash
+      const user = await User.findById(context.user._id);
+      const validPassword = await bcrypt.compare(
+        currentPassword,
+        user.password
+      );
+      if (!validPassword) {
+        throw new UserInputError("Current password is incorrect.");
+      }
+
+      user.password = await hashNewPassword(newPassword);
+      user.passwordChangedAt = new Date();
+      await user.save();
+
+      // Every other device has to log in again; this one gets a fresh session
+      const updatedUser = await revokeAllSessions(user._id, "PASSWORD_CHANGED");
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: user.tenantId,
+        userId: user._id,
+        action: "CHANGE_PASSWORD",
+        details: {},
+      });
+
+      return startSession(updatedUser, context.req);
+    },
+
+    requestPasswordReset: async (_, { email }) => {
+      const user = await User.findOne({ email: normalizeEmail(email) });
+
+      // The answer is the same whether or not the account exists, so it can't be used to
+      // find out which email addresses are registered
+      if (!user) return true;
+
+      const token = generateToken();
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+      await PasswordResetToken.create({
+        userId: user._id,
+        tokenHash: hashToken(token),
+        expiresAt,
+      });
+      await sendMail(passwordResetEmail(user, token, expiresAt));
+
+      return true;
+    },
+
+    resetPassword: async (_, { token, newPassword }) => {
+      const password = await hashNewPassword(newPassword);
+
+      // Claiming the token is atomic, so it can only be used once
+      const resetToken = await PasswordResetToken.findOneAndUpdate(
+        {
+          tokenHash: hashToken(token || ""),
+          usedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { $set: { usedAt: new Date() } }
+      );
+      if (!resetToken) {
+        throw new UserInputError("This reset link is invalid or has expired.");
+      }
+
+      const user = await User.findByIdAndUpdate(resetToken.userId, {
+        $set: { password, passwordChangedAt: new Date() },
+      });
+      if (!user) {
+        throw new UserInputError("This reset link is invalid or has expired.");
+      }
+
+      // Other reset links of the user stop working, and so does every session
+      await PasswordResetToken.updateMany(
+        { userId: user._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+      );
+      await revokeAllSessions(user._id, "PASSWORD_CHANGED");
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: user.tenantId,
+        userId: user._id,
+        action: "RESET_PASSWORD",
+        details: {},
+      });
+
+      return true;
+    },
+
+    inviteUser: async (_, { email, role }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      assertNotApiKey(context.user, "Managing members");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      const normalizedEmail = normalizeEmail(email);
+      if (!normalizedEmail) {
+        throw new UserInputError("Email cannot be empty.");
+      }
+      if (!ROLES.includes(role)) {
+        throw new UserInputError(`Role must be one of: ${ROLES.join(", ")}.`);
+      }
+
+      const existingUser = await User.findOne({ email: normalizedEmail });
+      if (existingUser) {
+        throw new UserInputError("A user with this email already has an account.");
+      }
+      await assertCanAddMember(context.user.tenantId, { countInvitations: true });
+
+      // Only the hash is stored; the token itself is returned once to be sent to the invitee
+      const token = generateToken();
+      const invitation = await Invitation.create({
+        tenantId: context.user.tenantId,
+        email: normalizedEmail,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: context.user._id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+      });
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "INVITE_USER",
+        details: { invitationId: invitation._id, email: invitation.email, role },
+      });
+
+      return { token, invitation };
+    },
+
+    revokeInvitation: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      assertNotApiKey(context.user, "Managing members");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      const invitation = await Invitation.findOneAndUpdate(
+        {
+          _id: id,
+          tenantId: context.user.tenantId,
+          acceptedAt: null,
+          revokedAt: null,
+        },
+        { $set: { revokedAt: new Date() } }
+      );
+      if (!invitation) {
+        throw new UserInputError(
+          "Invitation not found or it was already accepted or revoked."
+        );
+      }
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "REVOKE_INVITE",
+        details: { invitationId: invitation._id, email: invitation.email },
+      });
+
+      return true;
+    },
+
+    updateUserRole: async (_, { userId, role }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      assertNotApiKey(context.user, "Managing members");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+      if (!ROLES.includes(role)) {
+        throw new UserInputError(`Role must be one of: ${ROLES.join(", ")}.`);
+      }
+
+      const user = await User.findOne({
+        _id: userId,
+        tenantId: context.user.tenantId,
+      }).select("-password");
+      if (!user) {
+        throw new UserInputError("User not found in your workspace.");
+      }
+
+      const previousRole = user.role;
+      if (previousRole !== role) {
+        if (role !== "Admin") await assertNotLastAdmin(user);
+        user.role = role;
+        await user.save();
+
+        // --- ADDING LOGGING STEP ---
+
+        await ActivityLog.create({
+          tenantId: context.user.tenantId,
+          userId: context.user._id,
+          apiKeyId: context.user.apiKeyId,
+          action: "UPDATE_USER_ROLE",
+          before: { role: previousRole },
+          after: { role },
+          details: { targetUserId: user._id, previousRole, role },
+        });
+      }
+
+      return user;
+    },
+
+    removeUser: async (_, { userId }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      assertNotApiKey(context.user, "Managing members");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      const user = await User.findOne({
+        _id: userId,
+        tenantId: context.user.tenantId,
+      });
+      if (!user) {
+        throw new UserInputError("User not found in your workspace.");
+      }
+
+      await assertNotLastAdmin(user);
+      await User.deleteOne({ _id: user._id });
+      await Session.updateMany(
+        { userId: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "USER_REMOVED" } }
+      );
+      // Their per-database sharing goes too, trashed databases included
+      await DatabaseDefinition.updateMany(
+        { tenantId: context.user.tenantId, "access.members.userId": user._id },
+        { $pull: { "access.members": { userId: user._id } } }
+      );
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "REMOVE_USER",
+        details: {
+          targetUserId: user._id,
+          email: user.email,
+          role: user.role,
+        },
+      });
+
+      return true;
+    },
+
+    createDatabase: async (_, { name }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError(
+          "You must be logged in to create a database."
+        );
+      }
+
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      if (!name || name.trim() === "") {
+        throw new UserInputError("Database name cannot be empty.");
+      }
+      await assertCanAddDatabases(context.user.tenantId);
+
+      //The Core Logic to create the database
+      try {
+        const newDatabase = new DatabaseDefinition({
+          name: name,
+          tenantId: context.user.tenantId,
+          fields: [],
+        });
+
+        await newDatabase.save();
+
+        // --- ADDING LOGGING STEP ---
+
+        await ActivityLog.create({
+          tenantId: context.user.tenantId,
+          userId: context.user._id,
+          apiKeyId: context.user.apiKeyId,
+          action: "CREATE_DATABASE",
+          after: { name: newDatabase.name },
+          details: {
+            databaseId: newDatabase._id,
+            databaseName: newDatabase.name,
+          },
+        });
+
+        return newDatabase;
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new UserInputError(
+            "A database with this name already exists in your tenant."
+          );
+        }
+        throw new Error("An error occurred while creating the database.");
+      }
+    },
+
+    duplicateDatabase: async (_, { id, name, includeRecords }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      const source = await findReadableDatabase(id, context, "FULL_ACCESS");
+      await assertCanAddDatabases(context.user.tenantId);
+
+      // Same fields under new IDs; relations to the source itself point at the copy
+      const database = await buildDatabase(
+        name,
+        source.fields.map((field) => copyableField(field, source)),
+        context.user
+      );
+      // The copy is shared like the source, so restricted data stays restricted
+      database.access = {
+        defaultLevel: source.access?.defaultLevel ?? null,
+        members: (source.access?.members ?? []).map(({ userId, level }) => ({
+          userId,
+          level,
+        })),
+      };
+      // The new database already holds all its fields
+      await assertCanAddFields(database, 0);
+      if (includeRecords) {
+        await assertCanAddRecords(
+          database,
+          await Record.countDocuments({
+            databaseId: source._id,
+            tenantId: source.tenantId,
+            isDeleted: false,
+          })
+        );
+      }
+      await saveNewDatabase(database);
+      const copiedRecords = includeRecords
+        ? await copyRecords(source, database, context.user)
+        : 0;
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "CREATE_DATABASE",
+        after: { name: database.name },
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          duplicatedFrom: source._id,
+          copiedRecords,
+        },
+      });
+
+      return database;
+    },
+
+    createDatabaseFromTemplate: async (
+      _,
+      { templateId, name, includeSampleRecords },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      const template = await findTemplate(templateId, context.user.tenantId);
+      await assertCanAddDatabases(context.user.tenantId);
+
+      // The samples are checked against the new schema before anything is saved
+      const database = await buildDatabase(
+        name ?? template.name,
+        template.fields,
+        context.user
+      );
+      const samples =
+        includeSampleRecords === false
+          ? []
+          : await prepareSampleRecords(database, template.sampleRecords);
+      await assertCanAddFields(database, 0);
+      await assertCanAddRecords(database, samples.length);
+      await saveNewDatabase(database);
+      const sampleRecords = await insertSampleRecords(
+        database,
+        samples,
+        context.user
+      );
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "CREATE_DATABASE",
+        after: { name: database.name },
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          templateId: template.id,
+          templateName: template.name,
+          sampleRecords,
+        },
+      });
+
+      return database;
+    },
+
+    saveDatabaseAsTemplate: async (
+      _,
+      { databaseId, name, description, includeRecords },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+      if (!name || name.trim() === "") {
+        throw new UserInputError("Template name cannot be empty.");
+      }
+
+      const database = await findReadableDatabase(databaseId, context, "FULL_ACCESS");
+      const { fields, sampleRecords } = await templateFromDatabase(database, {
+        includeRecords,
+      });
+
+      let template;
+      try {
+        template = await DatabaseTemplate.create({
+          tenantId: context.user.tenantId,
+          name,
+          description,
+          fields,
+          sampleRecords,
+          sourceDatabaseId: database._id,
+          createdBy: context.user._id,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new UserInputError(
+            "A template with this name already exists in your tenant."
+          );
+        }
+        throw error;
+      }
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "CREATE_DATABASE_TEMPLATE",
+        after: { name: template.name },
+        details: {
+          templateId: template._id,
+          templateName: template.name,
+          databaseId: database._id,
+          sampleRecords: sampleRecords.length,
+        },
+      });
+
+      return savedTemplateEntry(template);
+    },
+
+    deleteDatabaseTemplate: async (_, { id }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+
+      // Built-in templates are not stored, so they are never found here
+      const template = await deleteSavedTemplate(id, context.user.tenantId);
+      if (!template) {
+        throw new UserInputError(
+          "Template not found. Built-in templates can't be deleted."
+        );
+      }
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "DELETE_DATABASE_TEMPLATE",
+        before: { name: template.name },
+        details: { templateId: template._id, templateName: template.name },
+      });
+
+      return true;
+    },
+
+    updateDatabase: async (_, { id, name }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action."
+        );
+      }
+
+      if (!name || name.trim() === "") {
+        throw new UserInputError("Database name cannot be empty.");
+      }
+
+      try {
+        // The previous name is kept in the activity log. Admin keys limited to
+        // other databases can't rename this one.
+        const previousDatabase = await findReadableDatabase(id, context, "FULL_ACCESS");
 
-      try {
         // Here is the critical security step. We build a query that looks for a document
         // matching BOTH the database ID AND the user's tenantId from the token.
         const updatedDatabase = await DatabaseDefinition.findOneAndUpdate(
-          { _id: id, tenantId: context.user.tenantId }, // QUERY: Find a DB with this ID that I OWN.
+          { _id: id, tenantId: context.user.tenantId, isDeleted: false }, // QUERY: Find a live DB with this ID that I OWN.
           { $set: { name: name } },
           { new: true }
         );
 
-        if (!updatedDatabase) {
-          throw new Error(
-            "Database not found or you don't have permission to modify it."
-          );
+        if (!updatedDatabase) {
+          throw new Error(
+            "Database not found or you don't have permission to modify it."
+          );
+        }
+        // --- ADDING LOGGING STEP ---
+
+        await ActivityLog.create({
+          tenantId: context.user.tenantId,
+          userId: context.user._id,
+          apiKeyId: context.user.apiKeyId,
+          action: "UPDATE_DATABASE",
+          before: { name: previousDatabase?.name ?? null },
+          after: { name: updatedDatabase.name },
+          details: {
+            databaseId: updatedDatabase._id,
+            databaseName: updatedDatabase.name,
+          },
+        });
+        await publishSchemaChanged(
+          "DATABASE_UPDATED",
+          updatedDatabase,
+          context.user
+        );
+
+        return updatedDatabase;
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new UserInputError(
+            "Another database with this name already exists in your tenant."
+          );
+        }
+
+        throw error;
+      }
+    },
+    deleteDatabase: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action."
+        );
+      }
+
+      // Admin keys limited to other databases can't delete this one
+      await findReadableDatabase(id, context, "FULL_ACCESS");
+
+      // The Core Logic: Find and "update" to soft delete
+      // We use findOneAndUpdate to move the database to the trash.
+      const deletedAt = new Date();
+      const deletedDatabase = await DatabaseDefinition.findOneAndUpdate(
+        { _id: id, tenantId: context.user.tenantId, isDeleted: false },
+        { $set: { isDeleted: true, deletedAt, deletedBy: context.user._id } }
+      );
+
+      if (!deletedDatabase) {
+        throw new Error(
+          "Database not found or you don't have permission to delete it."
+        );
+      }
+
+      // Its live records go to the trash with it, and come back when it is restored
+      const { modifiedCount } = await Record.updateMany(
+        {
+          databaseId: deletedDatabase._id,
+          tenantId: context.user.tenantId,
+          isDeleted: false,
+        },
+        {
+          $set: {
+            isDeleted: true,
+            deletedAt,
+            deletedBy: context.user._id,
+            deletedWithDatabase: true,
+          },
+        }
+      );
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "DELETE_DATABASE",
+        before: { name: deletedDatabase.name },
+        details: {
+          databaseId: deletedDatabase._id,
+          databaseName: deletedDatabase.name,
+          recordCount: modifiedCount,
+        },
+      });
+      await publishSchemaChanged(
+        "DATABASE_DELETED",
+        deletedDatabase,
+        context.user
+      );
+
+      return true;
+    },
+
+    restoreDatabase: async (_, { id }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action."
+        );
+      }
+      await assertCanAddDatabases(context.user.tenantId);
+
+      const trashedDatabase = await DatabaseDefinition.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: true,
+      });
+      if (!trashedDatabase) {
+        throw new UserInputError("Database not found in the trash.");
+      }
+      assertAccess(trashedDatabase, context.user, "FULL_ACCESS");
+
+      const restoredDatabase = await DatabaseDefinition.findOneAndUpdate(
+        { _id: id, tenantId: context.user.tenantId, isDeleted: true },
+        {
+          $set: { isDeleted: false },
+          $unset: { deletedAt: "", deletedBy: "" },
+        },
+        { new: true }
+      );
+
+      if (!restoredDatabase) {
+        throw new UserInputError("Database not found in the trash.");
+      }
+
+      // Only the records trashed with the database come back; records deleted
+      // on their own before stay in the trash.
+      const { modifiedCount } = await Record.updateMany(
+        {
+          databaseId: restoredDatabase._id,
+          tenantId: context.user.tenantId,
+          deletedWithDatabase: true,
+        },
+        {
+          $set: { isDeleted: false },
+          $unset: { deletedAt: "", deletedBy: "", deletedWithDatabase: "" },
+        }
+      );
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "RESTORE_DATABASE",
+        details: {
+          databaseId: restoredDatabase._id,
+          databaseName: restoredDatabase.name,
+          recordCount: modifiedCount,
+        },
+      });
+      await publishSchemaChanged(
+        "DATABASE_RESTORED",
+        restoredDatabase,
+        context.user
+      );
+
+      return restoredDatabase;
+    },
+
+    purge: async (_, { type, id }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+
+      if (type === "DATABASE") {
+        if (context.user.role !== "Admin") {
+          throw new ForbiddenError(
+            "You are not authorized to perform this action."
+          );
+        }
+
+        const database = await DatabaseDefinition.findOne({
+          _id: id,
+          tenantId: context.user.tenantId,
+          isDeleted: true,
+        });
+        if (!database) {
+          throw new UserInputError("Database not found in the trash.");
+        }
+        assertAccess(database, context.user, "FULL_ACCESS");
+
+        const recordCount = await purgeDatabase(database);
+
+        // --- ADDING LOGGING STEP ---
+
+        await ActivityLog.create({
+          tenantId: context.user.tenantId,
+          userId: context.user._id,
+          apiKeyId: context.user.apiKeyId,
+          action: "PURGE_DATABASE",
+          details: {
+            databaseId: database._id,
+            databaseName: database.name,
+            recordCount,
+          },
+        });
+
+        return true;
+      }
+
+      const record = await Record.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: true,
+      });
+      if (!record) {
+        throw new UserInputError("Record not found in the trash.");
+      }
+
+      // Deleting for good needs full access on the record's database,
+      // which may itself be in the trash. Once that database is purged,
+      // only Admins may delete its leftover records.
+      const database = await DatabaseDefinition.findOne({
+        _id: record.databaseId,
+        tenantId: context.user.tenantId,
+      });
+      if (database) {
+        assertAccess(database, context.user, "FULL_ACCESS");
+      } else if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action."
+        );
+      }
+
+      await purgeRecords({ _id: record._id });
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "PURGE_RECORD",
+        details: { recordId: record._id, databaseId: record.databaseId },
+      });
+
+      return true;
+    },
+
+    setDatabaseAccess: async (_, { databaseId, userId, level }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError("You are not authorized to share databases.");
+      }
+      if (!ACCESS_LEVELS.includes(level)) {
+        throw new UserInputError(`Unknown access level "${level}".`);
+      }
+
+      const database = await findReadableDatabase(databaseId, context, "FULL_ACCESS");
+
+      // Only members of the same tenant can be given access
+      const member = await User.findOne({
+        _id: userId,
+        tenantId: context.user.tenantId,
+      });
+      if (!member) {
+        throw new UserInputError("User not found in your tenant.");
+      }
+
+      if (!database.access) database.access = {};
+      const entry = database.access.members.find(
+        (m) => m.userId.toString() === userId
+      );
+      const previousLevel = entry ? entry.level : null;
+      if (entry) {
+        entry.level = level;
+      } else {
+        database.access.members.push({ userId, level });
+      }
+      await database.save();
+
+      // --- ADDING LOGGING STEP ---
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_DATABASE_ACCESS",
+        before: { memberId: member._id, level: previousLevel },
+        after: { memberId: member._id, level },
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          memberId: member._id,
+          level,
+        },
+      });
+
+      return database;
+    },
+
+    removeDatabaseAccess: async (_, { databaseId, userId }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError("You are not authorized to share databases.");
+      }
+
+      const database = await findReadableDatabase(databaseId, context, "FULL_ACCESS");
+
+      const entry = database.access?.members.find(
+        (m) => m.userId.toString() === userId
+      );
+      if (!entry) {
+        throw new UserInputError("This user has no access entry on the database.");
+      }
+      database.access.members.pull(entry);
+      await database.save();
+
+      // --- ADDING LOGGING STEP ---
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_DATABASE_ACCESS",
+        before: { memberId: entry.userId, level: entry.level },
+        after: { memberId: entry.userId, level: null },
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          memberId: entry.userId,
+          level: null,
+        },
+      });
+
+      return database;
+    },
+
+    setDatabaseDefaultAccess: async (_, { databaseId, level }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError("You are not authorized to share databases.");
+      }
+      if (level && !ACCESS_LEVELS.includes(level)) {
+        throw new UserInputError(`Unknown access level "${level}".`);
+      }
+
+      const database = await findReadableDatabase(databaseId, context, "FULL_ACCESS");
+
+      // A null level goes back to using each user's tenant role
+      if (!database.access) database.access = {};
+      const previousDefaultLevel = database.access.defaultLevel ?? null;
+      database.access.defaultLevel = level || null;
+      await database.save();
+
+      // --- ADDING LOGGING STEP ---
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_DATABASE_ACCESS",
+        before: { defaultLevel: previousDefaultLevel },
+        after: { defaultLevel: database.access.defaultLevel },
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          defaultLevel: database.access.defaultLevel,
+        },
+      });
+
+      return database;
+    },
+
+    createField: async (_, { databaseId, field }, context) => {
+      if (!context.user) {
+        throw new AuthenticationError("You must be logged in.");
+      }
+
+      // Find the parent database; changing its schema needs full access
+      const database = await findReadableDatabase(
+        databaseId,
+        context,
+        "FULL_ACCESS"
+      );
+
+      assertValidFieldName(field.name);
+
+      //Check for duplicate field names within this database
+      const fieldExists = database.fields.some(
+        (f) => f.name.toLowerCase() === field.name.toLowerCase()
+      );
+      if (fieldExists) {
+        throw new UserInputError(
+          `A field named "${field.name}" already exists in this database.`
+        );
+      }
+
+      await assertCanAddFields(database);
+
+      //The Core Logic: Add the new field to the array
+      // Mongoose subdocuments are automatically assigned an _id.
+      database.fields.push(field);
+
+      // Check rollups, formulas and constraints against the new schema before saving it
+      await prepareRollupFields(database);
+      prepareFormulaFields(database.fields);
+      prepareFieldConstraints(database);
+
+      // Existing records have no value yet, so a required field needs an empty database
+      await assertConstraintsHold(
+        database,
+        database.fields[database.fields.length - 1]
+      );
+
+      await database.save();
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "CREATE_FIELD",
+        after: fieldDefinition(database.fields[database.fields.length - 1]),
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          fieldId: database.fields[database.fields.length - 1]._id,
+        },
+      });
+      await publishSchemaChanged(
+        "FIELD_CREATED",
+        database,
+        context.user,
+        database.fields[database.fields.length - 1]._id
+      );
+
+      return database;
+    },
+
+    updateField: async (_, { databaseId, fieldId, field }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(
+        databaseId,
+        context,
+        "FULL_ACCESS"
+      );
+
+      // The full definition before the change, for the activity log
+      const existingField = database.fields.id(fieldId);
+      const previousDefinition = existingField && fieldDefinition(existingField);
+
+      // Apply the change to the field; formulas and rollups of this database
+      // that reference it by name follow a rename
+      const { before, after, updatedReferences } = planFieldUpdate(
+        database,
+        fieldId,
+        field
+      );
+
+      // Check rollups, formulas and constraints against the new schema before saving it
+      await prepareRollupFields(database);
+      prepareFormulaFields(database.fields);
+      prepareFieldConstraints(database);
+
+      // A new required or unique constraint must already hold for the existing records
+      await assertConstraintsHold(database, database.fields.id(fieldId), {
+        storedName: before.name,
+        previous: previousDefinition,
+      });
+
+      // Carry the stored values over to the new name and type, then save the schema:
+      // if the migration fails, the saved schema still names the field as before
+      const migration = await migrateFieldValues(database, before, after);
+      await database.save();
+      if (before.name !== after.name) {
+        updatedReferences.push(
+          ...(await renameRollupTargets(database, before.name, after.name))
+        );
+      }
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_FIELD",
+        before: previousDefinition,
+        after: fieldDefinition(database.fields.id(fieldId)),
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          fieldId,
+          from: { name: before.name, type: before.type },
+          to: { name: after.name, type: after.type },
+          affectedRecords: migration.affectedRecords,
+          convertedValues: migration.convertedValues,
+          failedValues: migration.failedValues,
+          clearedValues: migration.clearedValues,
+          updatedReferences,
+        },
+      });
+      await publishSchemaChanged(
+        "FIELD_UPDATED",
+        database,
+        context.user,
+        fieldId
+      );
+      return database;
+    },
+
+    deleteField: async (_, { databaseId, fieldId }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      //Find the parent database securely
+      const database = await findReadableDatabase(
+        databaseId,
+        context,
+        "FULL_ACCESS"
+      );
+
+      // Find the field to remove
+      const fieldToRemove = database.fields.id(fieldId);
+      if (!fieldToRemove) {
+        throw new UserInputError("Field not found in this database.");
+      }
+
+      // Remove the sub-document from the array
+      const removedField = { name: fieldToRemove.name, type: fieldToRemove.type };
+      const removedDefinition = fieldDefinition(fieldToRemove);
+      fieldToRemove.deleteOne();
+
+      // Rollups and formulas that still reference the removed field make the deletion fail
+      await prepareRollupFields(database);
+      prepareFormulaFields(database.fields);
+
+      // Save the parent document, then drop the field's values from the records
+      await database.save();
+      const migration = await migrateFieldValues(database, removedField, null);
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "DELETE_FIELD",
+        before: removedDefinition,
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          fieldId,
+          fieldName: removedField.name,
+          clearedValues: migration.clearedValues,
+        },
+      });
+      await publishSchemaChanged(
+        "FIELD_DELETED",
+        database,
+        context.user,
+        fieldId
+      );
+      return database;
+    },
+
+    createRecord: async (_, { databaseId, values }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      // Creating records needs edit access on the database
+      const database = await findReadableDatabase(databaseId, context, "EDIT");
+      await assertCanAddRecords(database);
+
+      //Validate incoming values against the database's field schema and constraints
+      const validatedValues = await validateRecordValues(database, values, {
+        tenantId: context.user.tenantId,
+        isNew: true,
+      });
+
+      // A null on create simply means the field is left empty
+      for (const [fieldName, value] of validatedValues) {
+        if (value === null) validatedValues.delete(fieldName);
+      }
+
+      //Create and save the new record
+      const newRecord = new Record({
+        databaseId,
+        tenantId: context.user.tenantId,
+        values: validatedValues,
+      });
+
+      await newRecord.save();
+
+      await recordRevision({
+        record: newRecord,
+        action: "CREATE",
+        before: null,
+        after: snapshotValues(newRecord.values),
+        user: context.user,
+      });
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "CREATE_RECORD",
+        after: snapshotValues(newRecord.values),
+        details: { databaseId: databaseId, recordId: newRecord._id },
+      });
+      await publishRecordChanged("CREATED", newRecord, context.user);
+
+      // We need to format the response to match the GraphQL Record type
+      // Mongoose Map needs to be converted to an array of objects
+      const [recordWithValues] = await withComputedValues(
+        database,
+        [newRecord],
+        context.user
+      );
+      return formatRecord(recordWithValues);
+    },
+
+    updateRecord: async (_, { id, values }, context) => {
+      // 1. Authentication & Authorization
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      // 2. Find the record securely, ensuring it belongs to the user's tenant and is not trashed
+      const record = await Record.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: false,
+      });
+
+      if (!record) {
+        throw new UserInputError(
+          "Record not found or you don't have permission."
+        );
+      }
+
+      // 3. Editing needs edit access on the record's database
+      const database = await findReadableDatabase(
+        record.databaseId,
+        context,
+        "EDIT"
+      );
+
+      // Validate the new values against the record's DatabaseDefinition
+
+      const validatedValues = await validateRecordValues(database, values, {
+        tenantId: context.user.tenantId,
+        recordIds: [record._id],
+      });
+
+      // Apply the new values to the record's Map, a null clears the field
+      const before = snapshotValues(record.values);
+      for (const [key, value] of validatedValues) {
+        if (value === null) {
+          record.values.delete(key);
+        } else {
+          record.values.set(key, value);
         }
-        // --- ADDING LOGGING STEP ---
+      }
 
-        await ActivityLog.create({
-          tenantId: context.user.tenantId,
-          userId: context.user._id,
-          action: "UPDATE_DATABASE",
-          details: {
-            databaseId: updatedDatabase._id,
-            databaseName: updatedDatabase.name,
+      // 4. Update the 'updatedAt' timestamp
+      record.updatedAt = new Date();
+
+      // 5. Save the updated record and keep the previous values as a revision
+      await record.save();
+
+      const after = snapshotValues(record.values);
+      await recordRevision({
+        record,
+        action: "UPDATE",
+        before,
+        after,
+        user: context.user,
+      });
+      // Only the fields that changed go into the activity log
+      const changes = changedValues(before, after);
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_RECORD",
+        before: changes.before,
+        after: changes.after,
+        details: {
+          recordId: record._id,
+          databaseId: record.databaseId,
+          changedFields: changes.changedFields,
+        },
+      });
+      await publishRecordChanged("UPDATED", record, context.user);
+
+      // 6. Format the response to match the GraphQL schema, with computed values filled in
+      const [recordWithValues] = await withComputedValues(
+        database,
+        [record],
+        context.user
+      );
+      return formatRecord(recordWithValues);
+    },
+
+    deleteRecord: async (_, { id }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const record = await Record.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: false,
+      });
+      if (!record) {
+        throw new UserInputError(
+          "Record not found or you don't have permission."
+        );
+      }
+
+      // Deleting needs edit access on the record's database
+      await findReadableDatabase(record.databaseId, context, "EDIT");
+
+      //Find the record and move it to the trash
+      const deletedAt = new Date();
+      const result = await Record.findOneAndUpdate(
+        { _id: id, tenantId: context.user.tenantId, isDeleted: false },
+        {
+          $set: {
+            isDeleted: true,
+            deletedAt,
+            deletedBy: context.user._id,
+            updatedAt: deletedAt,
           },
+        }
+      );
+
+      //Check if the operation found a document to "delete"
+      if (!result) {
+        throw new UserInputError(
+          "Record not found or you don't have permission."
+        );
+      }
+
+      await recordRevision({
+        record: result,
+        action: "DELETE",
+        before: snapshotValues(result.values),
+        after: null,
+        user: context.user,
+      });
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "DELETE_RECORD",
+        before: snapshotValues(result.values),
+        details: { recordId: result._id, databaseId: result.databaseId },
+      });
+      await publishRecordChanged("DELETED", result, context.user);
+
+      return true;
+    },
+
+    importRecords: async (
+      _,
+      { databaseId, format, data, mapping, createMissingFields },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      // Importing creates records; creating missing fields changes the schema
+      const database = await findReadableDatabase(
+        databaseId,
+        context,
+        createMissingFields ? "FULL_ACCESS" : "EDIT"
+      );
+
+      const { columns, rows } = readImportData(format, data);
+      const { mapped, skippedColumns, missingFields } = resolveColumnMapping(
+        columns,
+        mapping,
+        database
+      );
+
+      // Plan limits count every row, valid or not
+      await assertCanAddRecords(database, rows.length);
+      if (createMissingFields && missingFields.length > 0) {
+        await assertCanAddFields(database, missingFields.length);
+      }
+
+      // Columns without a field are either skipped or get a new field of an inferred type
+      const createdFields = [];
+      for (const fieldName of missingFields) {
+        const column = [...mapped].find(([, name]) => name === fieldName)[0];
+        if (!createMissingFields) {
+          mapped.delete(column);
+          skippedColumns.push(column);
+          continue;
+        }
+        assertValidFieldName(fieldName);
+        database.fields.push({
+          name: fieldName,
+          type: inferFieldType(rows.map((row) => row[column])),
         });
+        createdFields.push(database.fields[database.fields.length - 1]);
+      }
+      if (createdFields.length > 0) {
+        await database.save();
+      }
 
-        return updatedDatabase;
-      } catch (error) {
-        if (error.code === 11000) {
-          throw new UserInputError(
-            "Another database with this name already exists in your tenant."
-          );
+      const { importedRows, errors } = await insertImportedRows(
+        database,
+        rows,
+        mapped,
+        context.user
+      );
+
+      // --- ADDING LOGGING STEP ---
+      // One entry for the whole import
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "IMPORT_RECORDS",
+        details: {
+          databaseId: database._id,
+          databaseName: database.name,
+          format,
+          totalRows: rows.length,
+          importedRows,
+          failedRows: errors.length,
+          createdFields: createdFields.map((field) => field.name),
+          skippedColumns,
+        },
+      });
+      for (const field of createdFields) {
+        await publishSchemaChanged(
+          "FIELD_CREATED",
+          database,
+          context.user,
+          field._id
+        );
+      }
+
+      return {
+        totalRows: rows.length,
+        importedRows,
+        failedRows: errors.length,
+        createdFields,
+        skippedColumns,
+        errors,
+      };
+    },
+
+    bulkCreateRecords: async (
+      _,
+      { databaseId, records, atomic },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(databaseId, context, "EDIT");
+      await assertCanAddRecords(database, records.length);
+      const outcome = await bulkCreateRecords(database, records, context.user, {
+        atomic: atomic !== false,
+      });
+
+      return finishBulkMutation(
+        "BULK_CREATE_RECORDS",
+        database,
+        outcome,
+        { atomic: atomic !== false },
+        context
+      );
+    },
+
+    bulkUpdateRecords: async (
+      _,
+      { databaseId, ids, filter, values, atomic },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(databaseId, context, "EDIT");
+      const outcome = await bulkUpdateRecords(
+        database,
+        { ids, filter },
+        values,
+        context.user,
+        { atomic: atomic !== false }
+      );
+
+      return finishBulkMutation(
+        "BULK_UPDATE_RECORDS",
+        database,
+        outcome,
+        {
+          atomic: atomic !== false,
+          fields: Object.keys(values || {}),
+          byFilter: Boolean(filter),
+        },
+        context
+      );
+    },
+
+    bulkDeleteRecords: async (
+      _,
+      { databaseId, ids, filter, atomic },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const database = await findReadableDatabase(databaseId, context, "EDIT");
+      const outcome = await bulkDeleteRecords(
+        database,
+        { ids, filter },
+        context.user,
+        { atomic: atomic !== false }
+      );
+
+      return finishBulkMutation(
+        "BULK_DELETE_RECORDS",
+        database,
+        outcome,
+        { atomic: atomic !== false, byFilter: Boolean(filter) },
+        context
+      );
+    },
+
+    restoreRecord: async (_, { id }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const record = await Record.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: true,
+      });
+      if (!record) {
+        throw new UserInputError("Record not found in the trash.");
+      }
+      if (record.deletedWithDatabase) {
+        throw new UserInputError(
+          "This record was deleted with its database. Restore the database instead."
+        );
+      }
+
+      // Restoring needs edit access on a live database
+      const database = await findReadableDatabase(
+        record.databaseId,
+        context,
+        "EDIT"
+      );
+      await assertRestoredValuesUnique(database, record.values, record, context);
+      await assertCanAddRecords(database);
+
+      record.isDeleted = false;
+      record.deletedAt = undefined;
+      record.deletedBy = undefined;
+      record.updatedAt = new Date();
+      await record.save();
+
+      await recordRevision({
+        record,
+        action: "RESTORE",
+        before: null,
+        after: snapshotValues(record.values),
+        user: context.user,
+      });
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "RESTORE_RECORD",
+        after: snapshotValues(record.values),
+        details: { recordId: record._id, databaseId: record.databaseId },
+      });
+      await publishRecordChanged("RESTORED", record, context.user);
+
+      const [recordWithValues] = await withComputedValues(
+        database,
+        [record],
+        context.user
+      );
+      return formatRecord(recordWithValues);
+    },
+
+    restoreRecordRevision: async (_, { id, revisionId }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      const record = await Record.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+      });
+      if (!record) {
+        throw new UserInputError(
+          "Record not found or you don't have permission."
+        );
+      }
+
+      // Restoring is an edit of the record
+      const database = await findReadableDatabase(
+        record.databaseId,
+        context,
+        "EDIT"
+      );
+
+      const revision = await RecordRevision.findOne({
+        _id: revisionId,
+        recordId: record._id,
+        tenantId: context.user.tenantId,
+      });
+      if (!revision) {
+        throw new UserInputError("Revision not found for this record.");
+      }
+
+      // A revision holds the values right after its change; a deletion holds the values
+      // the record had when it was deleted. They are checked against the current fields,
+      // unique values included.
+      const { values, droppedFields } = await restorableValues(
+        database,
+        revision.after ?? revision.before,
+        { tenantId: context.user.tenantId, recordId: record._id }
+      );
+
+      if (record.isDeleted) await assertCanAddRecords(database);
+
+      const before = record.isDeleted ? null : snapshotValues(record.values);
+      record.values = values;
+      record.isDeleted = false;
+      record.deletedAt = undefined;
+      record.deletedBy = undefined;
+      record.updatedAt = new Date();
+      await record.save();
+
+      const after = snapshotValues(record.values);
+      await recordRevision({
+        record,
+        action: "RESTORE",
+        before,
+        after,
+        user: context.user,
+      });
+      const changes = changedValues(before, after);
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "RESTORE_RECORD",
+        before: before && changes.before,
+        after: changes.after,
+        details: {
+          recordId: record._id,
+          databaseId: record.databaseId,
+          revisionId: revision._id,
+          changedFields: changes.changedFields,
+          droppedFields,
+        },
+      });
+      await publishRecordChanged(
+        before ? "UPDATED" : "RESTORED",
+        record,
+        context.user
+      );
+
+      const [recordWithValues] = await withComputedValues(
+        database,
+        [record],
+        context.user
+      );
+      return formatRecord(recordWithValues);
+    },
+
+    updateTenantSettings: async (
+      _,
+      { revisionLimit, trashRetentionDays },
+      context
+    ) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to perform this action. Admin role required."
+        );
+      }
+      // Retention and revision limits reach every database
+      assertNotScopedApiKey(context.user, "Changing tenant settings");
+
+      const update = {};
+      if (revisionLimit !== undefined && revisionLimit !== null) {
+        if (!Number.isInteger(revisionLimit) || revisionLimit < 1) {
+          throw new UserInputError("Revision limit must be at least 1.");
+        }
+        update.revisionLimit = revisionLimit;
+      }
+      if (trashRetentionDays !== undefined && trashRetentionDays !== null) {
+        if (!Number.isInteger(trashRetentionDays) || trashRetentionDays < 1) {
+          throw new UserInputError("Trash retention must be at least 1 day.");
         }
+        update.trashRetentionDays = trashRetentionDays;
+      }
 
-        throw error;
+      // The previous settings are kept in the activity log
+      const previousTenant = await Tenant.findById(context.user.tenantId);
+      const tenant = await Tenant.findByIdAndUpdate(
+        context.user.tenantId,
+        { $set: update },
+        { new: true }
+      );
+
+      // A lower limit applies to the history that already exists
+      if (update.revisionLimit) {
+        await pruneTenantRevisions(tenant._id, update.revisionLimit);
       }
+
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_TENANT_SETTINGS",
+        before: Object.fromEntries(
+          Object.keys(update).map((key) => [key, previousTenant[key] ?? null])
+        ),
+        after: update,
+        details: update,
+      });
+
+      return tenant;
     },
-    deleteDatabase: async (_, { id }, context) => {
-      if (!context.user) {
+
+    changePlan: async (_, { plan }, context) => {
+      if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      }
       if (context.user.role !== "Admin") {
         throw new ForbiddenError(
-          "You are not authorized to perform this action."
+          "You are not authorized to perform this action. Admin role required."
         );
       }
+      assertNotApiKey(context.user, "Changing the plan");
+      if (!PLANS.includes(plan)) {
+        throw new UserInputError(`Plan must be one of: ${PLANS.join(", ")}.`);
+      }
 
-      // The Core Logic: Find and "update" to soft delete
-      // We use findOneAndUpdate to set the isDeleted flag to true.
-      const deletedDatabase = await DatabaseDefinition.findOneAndUpdate(
-        { _id: id, tenantId: context.user.tenantId },
-        { $set: { isDeleted: true } }
+      // Lowering the plan keeps the existing data; only new additions are limited
+      const previousTenant = await Tenant.findById(context.user.tenantId);
+      const tenant = await Tenant.findByIdAndUpdate(
+        context.user.tenantId,
+        { $set: { plan } },
+        { new: true }
       );
 
-      if (!deletedDatabase) {
-        throw new Error(
-          "Database not found or you don't have permission to delete it."
-        );
-      }
-
       // --- ADDING LOGGING STEP ---
 
       await ActivityLog.create({
         tenantId: context.user.tenantId,
         userId: context.user._id,
-        action: "DELETE_DATABASE",
-        details: {
-          databaseId: deletedDatabase._id,
-          databaseName: deletedDatabase.name,
-        },
+        apiKeyId: context.user.apiKeyId,
+        action: "CHANGE_PLAN",
+        before: { plan: previousTenant.plan },
+        after: { plan: tenant.plan },
+        details: { from: previousTenant.plan, to: tenant.plan },
       });
 
-      return true;
+      return tenant;
     },
 
-    createField: async (_, { databaseId, field }, context) => {
-      if (!context.user) {
+    createApiKey: async (_, { input }, context) => {
+      if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      }
       if (context.user.role !== "Admin") {
         throw new ForbiddenError(
-          "You are not authorized to modify database schemas."
+          "You are not authorized to manage API keys. Admin role required."
         );
       }
+      assertNotApiKey(context.user, "Managing API keys");
+      if (!ROLES.includes(input.role)) {
+        throw new UserInputError(`Role must be one of: ${ROLES.join(", ")}.`);
+      }
 
-      // 2. Find the parent database
-      const database = await DatabaseDefinition.findOne({
-        _id: databaseId,
+      const { key, prefix, keyHash } = generateApiKey();
+      const apiKey = await ApiKey.create({
+        ...(await prepareApiKeyInput(input, context.user.tenantId)),
         tenantId: context.user.tenantId,
+        prefix,
+        keyHash,
+        createdBy: context.user._id,
       });
-      // Check if the database exists AND if its tenantId matches the user's tenantId.
 
-      if (!database) {
+      // --- ADDING LOGGING STEP ---
+
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        action: "CREATE_API_KEY",
+        details: {
+          apiKeyId: apiKey._id,
+          name: apiKey.name,
+          role: apiKey.role,
+          scopes: apiKey.scopes,
+        },
+      });
+
+      // Only the hash is stored, so the key can't be shown again
+      return { key, apiKey };
+    },
+
+    revokeApiKey: async (_, { id }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
         throw new ForbiddenError(
-          "Database not found or you don't have permission to modify it."
+          "You are not authorized to manage API keys. Admin role required."
         );
       }
+      assertNotApiKey(context.user, "Managing API keys");
 
-      //Check for duplicate field names within this database
-      const fieldExists = database.fields.some(
-        (f) => f.name.toLowerCase() === field.name.toLowerCase()
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: id, tenantId: context.user.tenantId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
       );
-      if (fieldExists) {
+      if (!apiKey) {
         throw new UserInputError(
-          `A field named "${field.name}" already exists in this database.`
+          "API key not found or it was already revoked."
         );
       }
 
-      //The Core Logic: Add the new field to the array
-      // Mongoose subdocuments are automatically assigned an _id.
-      database.fields.push(field);
-
-      await database.save();
-
       // --- ADDING LOGGING STEP ---
 
       await ActivityLog.create({
         tenantId: context.user.tenantId,
         userId: context.user._id,
-        action: "CREATE_FIELD",
-        details: { databaseId: database._id, databaseName: database.name },
+        action: "REVOKE_API_KEY",
+        details: { apiKeyId: apiKey._id, name: apiKey.name },
       });
 
-      return database;
+      return apiKey;
     },
 
-    updateField: async (_, { databaseId, fieldId, field }, context) => {
+    createWebhook: async (_, { input }, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      if (context.user.role !== "Admin")
-        throw new ForbiddenError("You are not authorized to modify schemas.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to manage webhooks. Admin role required."
+        );
+      }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-      const database = await DatabaseDefinition.findOne({
-        _id: databaseId,
+      const secret = generateWebhookSecret();
+      const webhook = await Webhook.create({
+        ...(await prepareWebhookInput(input, context)),
         tenantId: context.user.tenantId,
+        secret,
+        createdBy: context.user._id,
       });
 
-      if (!database) {
-        throw new ForbiddenError(
-          "Database not found or you don't have permission to modify it."
-        );
-      }
+      // --- ADDING LOGGING STEP ---
 
-      // Find the specific field within the 'fields' array
+      await ActivityLog.create({
+        tenantId: context.user.tenantId,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "CREATE_WEBHOOK",
+        details: {
+          webhookId: webhook._id,
+          url: webhook.url,
+          events: webhook.events,
+        },
+      });
 
-      const fieldToUpdate = database.fields.id(fieldId);
+      // The secret is only ever shown here and when it is rotated
+      return { webhook, secret };
+    },
 
-      if (!fieldToUpdate) {
-        throw new UserInputError("Field not found in this database.");
+    updateWebhook: async (_, { id, input }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to manage webhooks. Admin role required."
+        );
       }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-      const otherFieldExists = database.fields.some(
-        (f) =>
-          f.name.toLowerCase() === field.name.toLowerCase() &&
-          f._id.toString() !== fieldId
-      );
-      if (otherFieldExists) {
+      const webhook = await Webhook.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+      });
+      if (!webhook) {
         throw new UserInputError(
-          `Another field named "${field.name}" already exists in this database.`
+          "Webhook not found or you don't have permission."
         );
       }
 
-      fieldToUpdate.set(field);
+      const previousSettings = webhookSettings(webhook);
+      webhook.set({
+        ...(await prepareWebhookInput(input, context)),
+        updatedAt: new Date(),
+      });
+      await webhook.save();
 
-      await database.save();
       // --- ADDING LOGGING STEP ---
 
       await ActivityLog.create({
         tenantId: context.user.tenantId,
         userId: context.user._id,
-        action: "UPDATE_FIELD",
-        details: { databaseId: database._id, databaseName: database.name },
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_WEBHOOK",
+        ...changedSettings(previousSettings, webhookSettings(webhook)),
+        details: {
+          webhookId: webhook._id,
+          url: webhook.url,
+          events: webhook.events,
+        },
       });
-      return database;
+
+      return webhook;
     },
 
-    deleteField: async (_, { databaseId, fieldId }, context) => {
+    rotateWebhookSecret: async (_, { id }, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      if (context.user.role !== "Admin")
-        throw new ForbiddenError("You are not authorized to modify schemas.");
-
-      //Find the parent database securely
-      const database = await DatabaseDefinition.findOne({
-        _id: databaseId,
-        tenantId: context.user.tenantId,
-      });
-
-      if (!database) {
+      if (context.user.role !== "Admin") {
         throw new ForbiddenError(
-          "Database not found or you don't have permission to modify it."
+          "You are not authorized to manage webhooks. Admin role required."
         );
       }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-      // Find the field to remove
-      const fieldToRemove = database.fields.id(fieldId);
-      if (!fieldToRemove) {
-        throw new UserInputError("Field not found in this database.");
+      const secret = generateWebhookSecret();
+      const webhook = await Webhook.findOneAndUpdate(
+        { _id: id, tenantId: context.user.tenantId },
+        { $set: { secret, updatedAt: new Date() } },
+        { new: true }
+      );
+      if (!webhook) {
+        throw new UserInputError(
+          "Webhook not found or you don't have permission."
+        );
       }
 
-      // Remove the sub-document from the array
-      fieldToRemove.remove();
-
-      // Save the parent document
-      await database.save();
       // --- ADDING LOGGING STEP ---
 
       await ActivityLog.create({
         tenantId: context.user.tenantId,
         userId: context.user._id,
-        action: "DELETE_FIELD",
-        details: { databaseId: database._id, databaseName: database.name },
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_WEBHOOK",
+        details: { webhookId: webhook._id, secretRotated: true },
       });
-      return database;
+
+      return { webhook, secret };
     },
 
-    createRecord: async (_, { databaseId, values }, context) => {
+    deleteWebhook: async (_, { id }, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      if (!["Editor", "Admin"].includes(context.user.role)) {
-        throw new ForbiddenError("You are not authorized to create records.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to manage webhooks. Admin role required."
+        );
       }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-      const database = await DatabaseDefinition.findOne({
-        _id: databaseId,
+      const webhook = await Webhook.findOneAndDelete({
+        _id: id,
         tenantId: context.user.tenantId,
       });
-      if (!database) {
-        throw new ForbiddenError(
-          "Database not found or you don't have permission."
+      if (!webhook) {
+        throw new UserInputError(
+          "Webhook not found or you don't have permission."
         );
       }
 
-      //Validate incoming values against the database's field schema
-      const validatedValues = new Map();
-      for (const field of database.fields) {
-        const providedValue = values[field.name];
+      // Pending retries have nowhere to go any more; the log of past deliveries stays
+      await WebhookDelivery.updateMany(
+        { webhookId: webhook._id, status: "PENDING" },
+        { $set: { status: "FAILED", error: "The webhook was deleted." } }
+      );
 
-        if (providedValue !== undefined) {
-          validatedValues.set(field.name, providedValue);
-        }
-      }
+      // --- ADDING LOGGING STEP ---
 
-      //Create and save the new record
-      const newRecord = new Record({
-        databaseId,
+      await ActivityLog.create({
         tenantId: context.user.tenantId,
-        values: validatedValues,
+        userId: context.user._id,
+        apiKeyId: context.user.apiKeyId,
+        action: "DELETE_WEBHOOK",
+        details: { webhookId: webhook._id, url: webhook.url },
       });
 
-      await newRecord.save();
+      return true;
+    },
 
-      // --- ADDING LOGGING STEP ---
+    // Sends a PING event right away, to check a receiver and its signature check
+    pingWebhook: async (_, { id }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to manage webhooks. Admin role required."
+        );
+      }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-      await ActivityLog.create({
+      const webhook = await Webhook.findOne({
+        _id: id,
         tenantId: context.user.tenantId,
-        userId: context.user._id,
-        action: "CREATE_RECORD",
-        details: { databaseId: databaseId, recordId: newRecord._id },
       });
+      if (!webhook) {
+        throw new UserInputError(
+          "Webhook not found or you don't have permission."
+        );
+      }
 
-      // We need to format the response to match the GraphQL Record type
-      // Mongoose Map needs to be converted to an array of objects
-      const formattedRecord = {
-        ...newRecord.toObject(),
-        values: Array.from(newRecord.values.entries()).map(
-          ([field, value]) => ({ field, value })
-        ),
-      };
-
-      return formattedRecord;
+      const delivery = await WebhookDelivery.create({
+        tenantId: webhook.tenantId,
+        webhookId: webhook._id,
+        event: "PING",
+        payload: {
+          event: "PING",
+          tenantId: webhook.tenantId.toString(),
+          webhookId: webhook._id.toString(),
+          createdAt: new Date().toISOString(),
+        },
+      });
+      return (await attemptDelivery(delivery._id)) || delivery;
     },
 
-    updateRecord: async (_, { id, values }, context) => {
-      // 1. Authentication & Authorization
+    // Sends a past delivery's payload again as a new delivery, attempted right away
+    redeliverWebhookDelivery: async (_, { id }, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      if (!["Editor", "Admin"].includes(context.user.role)) {
-        throw new ForbiddenError("You are not authorized to edit records.");
+      if (context.user.role !== "Admin") {
+        throw new ForbiddenError(
+          "You are not authorized to manage webhooks. Admin role required."
+        );
       }
+      assertNotScopedApiKey(context.user, "Managing webhooks");
 
-      // 2. Find the record securely, ensuring it belongs to the user's tenant
-      const record = await Record.findOne({
+      const original = await WebhookDelivery.findOne({
         _id: id,
         tenantId: context.user.tenantId,
       });
-
-      if (!record) {
+      if (!original) {
         throw new UserInputError(
-          "Record not found or you don't have permission."
+          "Delivery not found or you don't have permission."
         );
       }
+      const webhook = await Webhook.findOne({
+        _id: original.webhookId,
+        tenantId: context.user.tenantId,
+      });
+      if (!webhook) {
+        throw new UserInputError("The webhook of this delivery was deleted.");
+      }
+
+      const delivery = await WebhookDelivery.create({
+        tenantId: webhook.tenantId,
+        webhookId: webhook._id,
+        event: original.event,
+        payload: original.payload,
+        redeliveryOf: original._id,
+      });
+      return (await attemptDelivery(delivery._id)) || delivery;
+    },
+
+    createView: async (_, { databaseId, view }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
+
+      // Managing views needs edit access on the database
+      const database = await findReadableDatabase(databaseId, context, "EDIT");
+
+      try {
+        const newView = await View.create({
+          ...prepareViewInput(view, database),
+          tenantId: context.user.tenantId,
+          databaseId: database._id,
+          createdBy: context.user._id,
+        });
+
+        // --- ADDING LOGGING STEP ---
+
+        await ActivityLog.create({
+          tenantId: context.user.tenantId,
+          userId: context.user._id,
+          apiKeyId: context.user.apiKeyId,
+          action: "CREATE_VIEW",
+          details: {
+            databaseId: database._id,
+            viewId: newView._id,
+            viewName: newView.name,
+          },
+        });
+
+        return newView;
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new UserInputError(
+            "A view with this name already exists in this database."
+          );
+        }
+        throw error;
+      }
+    },
 
-      // We could add validation here against the DatabaseDefinition, but for now we'll keep it simple
+    updateView: async (_, { id, view }, context) => {
+      if (!context.user)
+        throw new AuthenticationError("You must be logged in.");
 
-      // 3. Apply the new values to the record's Map
-      for (const [key, value] of Object.entries(values)) {
-        record.values.set(key, value);
+      const existingView = await View.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: false,
+      });
+      if (!existingView) {
+        throw new UserInputError("View not found or you don't have permission.");
       }
 
-      // 4. Update the 'updatedAt' timestamp
-      record.updatedAt = new Date();
+      const database = await findReadableDatabase(
+        existingView.databaseId,
+        context,
+        "EDIT"
+      );
 
-      // 5. Save the updated record
-      await record.save();
+      const previousSettings = viewSettings(existingView);
+      existingView.set(prepareViewInput(view, database));
+      existingView.updatedAt = new Date();
+
+      try {
+        await existingView.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new UserInputError(
+            "A view with this name already exists in this database."
+          );
+        }
+        throw error;
+      }
 
       // --- ADDING LOGGING STEP ---
 
       await ActivityLog.create({
         tenantId: context.user.tenantId,
         userId: context.user._id,
-        action: "UPDATE_RECORD",
-        details: { recordId: record._id },
+        apiKeyId: context.user.apiKeyId,
+        action: "UPDATE_VIEW",
+        ...changedSettings(previousSettings, viewSettings(existingView)),
+        details: {
+          databaseId: database._id,
+          viewId: existingView._id,
+          viewName: existingView.name,
+        },
       });
 
-      // 6. Format the response to match the GraphQL schema
-      const formattedRecord = {
-        ...record.toObject(),
-        values: Array.from(record.values.entries()).map(([field, value]) => ({
-          field,
-          value,
-        })),
-      };
-
-      return formattedRecord;
+      return existingView;
     },
 
-    deleteRecord: async (_, { id }, context) => {
+    deleteView: async (_, { id }, context) => {
       if (!context.user)
         throw new AuthenticationError("You must be logged in.");
-      if (!["Editor", "Admin"].includes(context.user.role)) {
-        throw new ForbiddenError("You are not authorized to delete records.");
+
+      const view = await View.findOne({
+        _id: id,
+        tenantId: context.user.tenantId,
+        isDeleted: false,
+      });
+      if (!view) {
+        throw new UserInputError("View not found or you don't have permission.");
       }
 
-      //Find the record and update it to be soft-deleted
-      const result = await Record.findOneAndUpdate(
-        { _id: id, tenantId: context.user.tenantId },
+      await findReadableDatabase(view.databaseId, context, "EDIT");
+
+      //Soft-delete the view
+      const deletedView = await View.findOneAndUpdate(
+        { _id: id, tenantId: context.user.tenantId, isDeleted: false },
         { $set: { isDeleted: true, updatedAt: new Date() } }
       );
 
-      //Check if the operation found a document to "delete"
-      if (!result) {
-        throw new UserInputError(
-          "Record not found or you don't have permission."
-        );
+      if (!deletedView) {
+        throw new UserInputError("View not found or you don't have permission.");
       }
 
       // --- ADDING LOGGING STEP ---
@@ -675,13 +3468,91 @@ const resolvers = {
       await ActivityLog.create({
         tenantId: context.user.tenantId,
         userId: context.user._id,
-        action: "DELETE_RECORD",
-        details: { recordId: result._id, databaseId: result.databaseId },
+        apiKeyId: context.user.apiKeyId,
+        action: "DELETE_VIEW",
+        details: {
+          databaseId: deletedView.databaseId,
+          viewId: deletedView._id,
+          viewName: deletedView.name,
+        },
       });
 
       return true;
     },
   },
+
+  // Events are published per tenant (see utils/events.js), so a subscription only
+  // ever sees its own tenant. Access to the database is checked again for every event.
+  Subscription: {
+    recordChanged: {
+      subscribe: async (_, { databaseId }, context) => {
+        if (!context.user)
+          throw new AuthenticationError("You must be logged in.");
+
+        const database = await findReadableDatabase(databaseId, context);
+        return subscribe(
+          topics.recordChanged(context.user.tenantId, database._id),
+          () => canViewDatabase(databaseId, context)
+        );
+      },
+      resolve: async (event, _, context) => {
+        // Fresh loaders for every event, the subscription outlives any cache
+        context.loaders = createLoaders(context.user);
+        return {
+          ...event,
+          record:
+            event.type === "DELETED"
+              ? null
+              : await context.loaders.recordById.load(event.recordId),
+        };
+      },
+    },
+
+    databaseSchemaChanged: {
+      subscribe: async (_, { databaseId }, context) => {
+        if (!context.user)
+          throw new AuthenticationError("You must be logged in.");
+
+        const database = await findReadableDatabase(databaseId, context);
+        // Deleting the database is an event too, so trashed databases still deliver
+        return subscribe(
+          topics.databaseSchemaChanged(context.user.tenantId, database._id),
+          () => canViewDatabase(databaseId, context, { includeDeleted: true })
+        );
+      },
+      resolve: async (event, _, context) => {
+        context.loaders = createLoaders(context.user);
+        return {
+          ...event,
+          database: await DatabaseDefinition.findOne({
+            _id: event.databaseId,
+            tenantId: context.user.tenantId,
+          }),
+        };
+      },
+    },
+
+    activityLogAdded: {
+      subscribe: (_, __, context) => {
+        if (!context.user)
+          throw new AuthenticationError("You must be logged in.");
+
+        // Entries about a database are only delivered to users who can view it,
+        // like the activity log queries
+        return subscribe(
+          topics.activityLogAdded(context.user.tenantId),
+          (event) =>
+            !event.databaseId ||
+            canViewDatabase(event.databaseId, context, { includeDeleted: true })
+        );
+      },
+      resolve: (event, _, context) =>
+        ActivityLog.findOne({
+          _id: event.logId,
+          tenantId: context.user.tenantId,
+        }),
+    },
+  },
 };
 
 export default resolvers;
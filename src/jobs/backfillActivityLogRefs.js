@@ -0,0 +1,39 @@
+import ActivityLog from "../models/ActivityLog.js";
+
+// `details.<name>` as an ObjectId, or null when it isn't one
+const objectIdFromDetails = (name) => ({
+  $convert: { input: `$details.${name}`, to: "objectId", onError: null, onNull: null },
+});
+
+/**
+ * Copies `details.databaseId` and `details.recordId` to the indexed `databaseId` and
+ * `recordId` of activity log entries written before those fields existed, so they are
+ * filtered and hidden like newer entries. Safe to run again; returns how many entries
+ * were updated.
+ */
+export const backfillActivityLogRefs = async () => {
+  let updated = 0;
+  for (const name of ["databaseId", "recordId"]) {
+    const { modifiedCount } = await ActivityLog.updateMany(
+      { [name]: null, [`details.${name}`]: { $ne: null } },
+      [{ $set: { [name]: objectIdFromDetails(name) } }]
+    );
+    updated += modifiedCount;
+  }
+  return updated;
+};
+
+/**
+ * Runs `backfillActivityLogRefs` once in the background; failures are logged and the
+ * backfill is retried on the next start.
+ */
+export const startActivityLogBackfill = async () => {
+  try {
+    const updated = await backfillActivityLogRefs();
+    if (updated > 0) {
+      console.log(`Activity log backfill: updated ${updated} entry field(s).`);
+    }
+  } catch (error) {
+    console.error("Activity log backfill failed:", error.message);
+  }
+};
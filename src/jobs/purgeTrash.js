@@ -0,0 +1,61 @@
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Tenant from "../models/Tenant.js";
+import { purgeCutoff, purgeDatabase, purgeRecords } from "../utils/trash.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Permanently deletes every trashed database and record that has been in the trash longer
+ * than its tenant's retention period. Records trashed together with a database go with it.
+ * Returns how many databases and records were purged.
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const tenants = await Tenant.find().select("trashRetentionDays");
+  let databases = 0;
+  let records = 0;
+
+  for (const tenant of tenants) {
+    const cutoff = purgeCutoff(tenant.trashRetentionDays, now);
+
+    const expiredDatabases = await DatabaseDefinition.find({
+      tenantId: tenant._id,
+      isDeleted: true,
+      deletedAt: { $lte: cutoff },
+    });
+    for (const database of expiredDatabases) {
+      records += await purgeDatabase(database);
+      databases += 1;
+    }
+
+    records += await purgeRecords({
+      tenantId: tenant._id,
+      isDeleted: true,
+      deletedWithDatabase: { $ne: true },
+      deletedAt: { $lte: cutoff },
+    });
+  }
+
+  return { databases, records };
+};
+
+/**
+ * Runs `purgeExpiredTrash` now and then every `intervalMs`.
+ * The timer does not keep the process alive; failures are logged and retried next run.
+ */
+export const startTrashPurgeJob = (intervalMs = HOUR_MS) => {
+  const run = async () => {
+    try {
+      const { databases, records } = await purgeExpiredTrash();
+      if (databases > 0 || records > 0) {
+        console.log(`Trash purge: removed ${databases} database(s) and ${records} record(s).`);
+      }
+    } catch (error) {
+      console.error("Trash purge failed:", error.message);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  return timer;
+};
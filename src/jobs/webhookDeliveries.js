@@ -0,0 +1,28 @@
+import { processDueDeliveries } from "../utils/webhooks.js";
+
+const INTERVAL_MS = 10 * 1000;
+
+/**
+ * Retries due webhook deliveries every `intervalMs`.
+ * The timer does not keep the process alive; failures are logged and retried next run.
+ */
+export const startWebhookDeliveryJob = (intervalMs = INTERVAL_MS) => {
+  let running = false;
+
+  const run = async () => {
+    // Slow receivers can make a run outlast the interval
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error("Webhook delivery run failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -1,20 +1,57 @@
 
 import mongoose from 'mongoose';
+import { publishActivityLogAdded } from '../utils/events.js';
+import { queueWebhookDeliveries } from '../utils/webhooks.js';
+
+// Every action that is logged. Webhooks subscribe to these names too.
+export const ACTIVITY_ACTIONS = [
+  'CREATE_DATABASE', 'DELETE_DATABASE','UPDATE_DATABASE','UPDATE_DATABASE_ACCESS',
+  'RESTORE_DATABASE', 'PURGE_DATABASE',
+  'CREATE_FIELD', 'UPDATE_FIELD', 'DELETE_FIELD',
+  'CREATE_RECORD', 'UPDATE_RECORD', 'DELETE_RECORD', 'RESTORE_RECORD', 'PURGE_RECORD',
+  'IMPORT_RECORDS', 'BULK_CREATE_RECORDS', 'BULK_UPDATE_RECORDS', 'BULK_DELETE_RECORDS',
+  'CREATE_VIEW', 'UPDATE_VIEW', 'DELETE_VIEW',
+  'CREATE_DATABASE_TEMPLATE', 'DELETE_DATABASE_TEMPLATE',
+  'INVITE_USER', 'REVOKE_INVITE', 'ACCEPT_INVITE', 'UPDATE_USER_ROLE', 'REMOVE_USER',
+  'CHANGE_PASSWORD', 'RESET_PASSWORD', 'LOGOUT_ALL_SESSIONS',
+  'UPDATE_TENANT_SETTINGS', 'CHANGE_PLAN',
+  'CREATE_WEBHOOK', 'UPDATE_WEBHOOK', 'DELETE_WEBHOOK',
+  'CREATE_API_KEY', 'REVOKE_API_KEY'
+];
 
 const activityLogSchema = new mongoose.Schema({
   tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  action: {
-    type: String,
-    required: true,
-    enum: [
-      'CREATE_DATABASE', 'DELETE_DATABASE','UPDATE_DATABASE',
-      'CREATE_FIELD', 'UPDATE_FIELD', 'DELETE_FIELD',
-      'CREATE_RECORD', 'UPDATE_RECORD', 'DELETE_RECORD'
-    ]
-  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },       // unset when an API key performed the action
+  apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  action: { type: String, required: true, enum: ACTIVITY_ACTIONS },
+  databaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition' }, // what the action touched, for filtering
+  recordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Record' },
+  before: { type: mongoose.Schema.Types.Mixed },  // the changed state before the action (e.g. old field definition)
+  after: { type: mongoose.Schema.Types.Mixed },   // and after it
   details: { type: mongoose.Schema.Types.Mixed }, // since it is not always string we have multiple datatypes to save
   createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+// Filters of the activity log, all within a tenant and newest first
+activityLogSchema.index({ tenantId: 1, createdAt: -1 });
+activityLogSchema.index({ tenantId: 1, userId: 1, createdAt: -1 });
+activityLogSchema.index({ tenantId: 1, action: 1, createdAt: -1 });
+activityLogSchema.index({ tenantId: 1, databaseId: 1, createdAt: -1 });
+activityLogSchema.index({ tenantId: 1, recordId: 1, createdAt: -1 });
+
+// Entries name the database and record they touched in `details`; copy them to the
+// indexed fields so every entry can be filtered by them
+activityLogSchema.pre('validate', function () {
+  if (!this.databaseId && this.details?.databaseId) this.databaseId = this.details.databaseId;
+  if (!this.recordId && this.details?.recordId) this.recordId = this.details.recordId;
+});
+
+// Notify `activityLogAdded` subscribers and matching webhooks of every new entry
+activityLogSchema.post('save', (log) => {
+  publishActivityLogAdded(log);
+  queueWebhookDeliveries(log).catch((error) =>
+    console.error('Failed to queue webhook deliveries:', error.message)
+  );
 });
 
 const ActivityLog = mongoose.model('ActivityLog', activityLogSchema);
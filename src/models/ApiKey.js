@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const apiKeySchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, required: true },                   // start of the key, to tell keys apart in lists
+  keyHash: { type: String, required: true, unique: true },    // only a hash is stored, the key is shown once
+  role: { type: String, enum: ['Admin', 'Editor', 'Viewer'], default: 'Viewer' },
+  scopes: [                                                   // if set, the only databases the key can use
+    {
+      databaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition', required: true },
+      level: { type: String, enum: ['NONE','VIEW','COMMENT','EDIT','FULL_ACCESS'], required: true },
+      _id: false
+    }
+  ],
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -6,12 +6,41 @@ const databaseDefinitionSchema = new mongoose.Schema({
   fields: [
     {
       name: { type: String, required: true }, 
-      type: { type: String, enum: ['text','number','date','boolean','select','multi-select','relation'], required: true },
+      type: { type: String, enum: ['text','number','date','boolean','select','multi-select','relation','formula','rollup'], required: true },
       options: [String],                               
-      relation: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition' }
+      relation: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition' },
+      formula: { type: String },                       // expression of a formula field, e.g. prop("Price") * prop("Qty")
+      resultType: { type: String },                    // type a formula or rollup evaluates to, set when the schema is saved
+      required: { type: Boolean, default: false },     // records must have a value
+      unique: { type: Boolean, default: false },       // no two live records of the database share a value
+      defaultValue: { type: mongoose.Schema.Types.Mixed }, // value of new records that leave the field out
+      min: { type: Number },                           // number range
+      max: { type: Number },
+      maxLength: { type: Number },                     // text length and format
+      pattern: { type: String },
+      rollup: new mongoose.Schema(                     // config of a rollup field, aggregates a field across a relation
+        {
+          relationField: { type: String, required: true },
+          targetField: { type: String },
+          aggregation: { type: String, enum: ['COUNT','SUM','AVERAGE','MIN','MAX','PERCENT_CHECKED','SHOW_UNIQUE'], required: true }
+        },
+        { _id: false }
+      )
     }
   ],
+  access: {                                            // per-database sharing, overrides tenant roles
+    defaultLevel: { type: String, enum: ['NONE','VIEW','COMMENT','EDIT','FULL_ACCESS'], default: null }, // null = use the tenant role
+    members: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        level: { type: String, enum: ['NONE','VIEW','COMMENT','EDIT','FULL_ACCESS'], required: true },
+        _id: false
+      }
+    ]
+  },
   isDeleted: { type: Boolean, default: false, index: true },
+  deletedAt: { type: Date },                           // when the database was moved to the trash
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -20,6 +49,16 @@ const databaseDefinitionSchema = new mongoose.Schema({
 
 databaseDefinitionSchema.index({ tenantId: 1, name: 1 }, { unique: true });
 
+// Workspace search over database names, field names and select options, names rank highest.
+databaseDefinitionSchema.index(
+  { tenantId: 1, name: 'text', 'fields.name': 'text', 'fields.options': 'text' },
+  {
+    name: 'database_search',
+    default_language: 'none',
+    weights: { name: 10, 'fields.name': 3, 'fields.options': 2 }
+  }
+);
+
 const DatabaseDefinition = mongoose.model('DatabaseDefinition',databaseDefinitionSchema);
 
 export default DatabaseDefinition;
\ No newline at end of file
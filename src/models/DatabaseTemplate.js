@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// A database template saved by a tenant. Built-in templates live in src/utils/databaseTemplates.js.
+const databaseTemplateSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  fields: [{ type: mongoose.Schema.Types.Mixed }],        // plain field definitions; relation "self" points at the new database
+  sampleRecords: [{ type: mongoose.Schema.Types.Mixed }], // values keyed by field name, without relation values
+  sourceDatabaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+databaseTemplateSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+const DatabaseTemplate = mongoose.model('DatabaseTemplate', databaseTemplateSchema);
+
+export default DatabaseTemplate;
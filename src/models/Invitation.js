@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+const invitationSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: ['Admin', 'Editor', 'Viewer'], default: 'Viewer' },
+  tokenHash: { type: String, required: true, unique: true }, // only a hash is stored, the token is sent to the invitee once
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  revokedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+invitationSchema.index({ tenantId: 1, email: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -5,6 +5,9 @@ const recordSchema = new mongoose.Schema({
   databaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition', required: true, index: true },
   values: { type: Map, of: mongoose.Schema.Types.Mixed },
   isDeleted: { type: Boolean, default: false, index: true },
+  deletedAt: { type: Date },                      // when the record was moved to the trash
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deletedWithDatabase: { type: Boolean },         // trashed because its database was, restored together with it
   createdAt: { type: Date, default: Date.now, index: true },
   updatedAt: { type: Date, default: Date.now, index: true }
 });
@@ -13,6 +16,12 @@ const recordSchema = new mongoose.Schema({
 
 recordSchema.index({ tenantId: 1, databaseId: 1 });
 
+// Workspace search: every stored string value, scoped by tenant. No stemming, values can be in any language.
+recordSchema.index(
+  { tenantId: 1, '$**': 'text' },
+  { name: 'record_search', default_language: 'none', language_override: 'searchLanguage' }
+);
+
 
 const Record = mongoose.model('Record',recordSchema);
 
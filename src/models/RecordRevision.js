@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// One entry in a record's history: the stored values before and after a change.
+const recordRevisionSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  databaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition', required: true },
+  recordId: { type: mongoose.Schema.Types.ObjectId, ref: 'Record', required: true },
+  action: { type: String, enum: ['CREATE', 'UPDATE', 'DELETE', 'RESTORE'], required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null }, // values before the change, null for CREATE
+  after: { type: mongoose.Schema.Types.Mixed, default: null },  // values after the change, null for DELETE
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },     // unset when an API key made the change
+  apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+recordRevisionSchema.index({ recordId: 1, createdAt: -1 });
+
+const RecordRevision = mongoose.model('RecordRevision', recordRevisionSchema);
+
+export default RecordRevision;
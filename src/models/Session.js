@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, unique: true }, // hash of the current refresh token only
+  previousTokenHash: { type: String, index: true },                 // the token it replaced, reusing it revokes the session
+  userAgent: { type: String },
+  ip: { type: String },
+  expiresAt: { type: Date, required: true },                        // moves forward on every refresh
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  revokedReason: { type: String, enum: ['LOGOUT', 'LOGOUT_ALL', 'PASSWORD_CHANGED', 'TOKEN_REUSE', 'USER_REMOVED'] },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 const tenantSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true, unique: true },
   plan: { type: String, enum: ["Free", "Pro"], default: "Free" },
+  revisionLimit: { type: Number, default: 100, min: 1 }, // revisions kept per record, older ones are pruned
+  trashRetentionDays: { type: Number, default: 30, min: 1 }, // days before trashed items are purged for good
   createdAt: { type: Date, default: Date.now },
 });
 
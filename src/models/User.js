@@ -17,7 +17,10 @@ const userSchema = new mongoose.Schema({
     email:{
         type:String,
         required:true,
-        unique:true
+        unique:true,
+        // Stored as normalizeEmail() in utils/auth.js returns it
+        trim:true,
+        lowercase:true
     },
     password:{
         type:String,
@@ -29,6 +32,14 @@ const userSchema = new mongoose.Schema({
         default: 'Viewer',
         index:true
     },
+    // Bumped to invalidate every access token issued so far (logout everywhere, password change)
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    passwordChangedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const viewSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  databaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  layout: { type: String, enum: ['table', 'board', 'calendar'], default: 'table' },
+  // Filter tree in the RecordFilterInput shape, but conditions point at fields by `fieldId`
+  // instead of by name, so the view survives field renames.
+  filter: { type: mongoose.Schema.Types.Mixed },
+  sort: {
+    fieldId: { type: mongoose.Schema.Types.ObjectId },
+    order: { type: String, enum: ['ASC', 'DESC'] }
+  },
+  visibleFieldIds: [{ type: mongoose.Schema.Types.ObjectId }], // visible fields, in display order
+  groupByFieldId: { type: mongoose.Schema.Types.ObjectId },
+  pageSize: { type: Number, min: 1 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  isDeleted: { type: Boolean, default: false, index: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+//A database should not have two views with the same name
+viewSchema.index({ databaseId: 1, name: 1 }, { unique: true, partialFilterExpression: { isDeleted: false } });
+
+const View = mongoose.model('View', viewSchema);
+
+export default View;
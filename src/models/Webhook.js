@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+const webhookSchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  url: { type: String, required: true, trim: true },
+  events: [{ type: String, required: true }],        // ActivityLog actions that trigger the webhook
+  databaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'DatabaseDefinition' }, // only events of this database, if set
+  description: { type: String, trim: true },
+  secret: { type: String, required: true },          // HMAC key; kept readable because every delivery is signed with it
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+webhookSchema.index({ tenantId: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// One attempt series to deliver an event to a webhook, kept as the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  tenantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true, index: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['PENDING', 'SENDING', 'SUCCEEDED', 'FAILED'], default: 'PENDING', index: true },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },   // when a PENDING delivery is (re)tried
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number },
+  responseBody: { type: String },                     // truncated
+  error: { type: String },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  deliveredAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
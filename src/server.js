@@ -1,26 +1,49 @@
 import express from "express";
+import { createServer } from "http";
+import { WebSocketServer } from "ws";
+import { CloseCode } from "graphql-ws";
+import { useServer } from "graphql-ws/use/ws";
 import dotenv from "dotenv";
 import mongoose, { Schema } from "mongoose";
 import cors from "cors";
-import { ApolloServer } from "apollo-server-express";
+import { ApolloError, ApolloServer } from "apollo-server-express";
 import { readFileSync } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import User from "./models/User.js";
-import jwt from "jsonwebtoken";
+import { authenticateAccessToken, resumeSession } from "./utils/auth.js";
+import { authenticateApiKey, isApiKey, reloadApiKey } from "./utils/apiKeys.js";
 import resolvers from "./graphql/resolvers.js";
+import { createLoaders } from "./graphql/loaders.js";
+import { startTrashPurgeJob } from "./jobs/purgeTrash.js";
+import { startWebhookDeliveryJob } from "./jobs/webhookDeliveries.js";
+import { startActivityLogBackfill } from "./jobs/backfillActivityLogRefs.js";
+import DatabaseDefinition from "./models/DatabaseDefinition.js";
+import { hasAccess } from "./utils/permissions.js";
+import { contextPlanLimits } from "./utils/plans.js";
+import { checkOperationCost, queryCostPlugin } from "./utils/queryCost.js";
+import { identifyContext, rateLimitStore } from "./utils/rateLimitStore.js";
+import {
+  EXPORT_FORMATS,
+  exportFilename,
+  exportRecords,
+} from "./utils/exportRecords.js";
+import {
+  GraphQLError,
+  defaultFieldResolver,
+  getOperationAST,
+  parse,
+  validate,
+} from "graphql";
 import { makeExecutableSchema } from "@graphql-tools/schema";
 import { mapSchema, getDirective, MapperKind } from "@graphql-tools/utils";
-import { createRateLimitRule } from "graphql-rate-limit";
+import { getGraphQLRateLimiter } from "graphql-rate-limit";
 
 dotenv.config();
 
-//Create the rate limit rule instance
-// This is more direct. It creates a rule we can apply manually.
-
-const rateLimitRule = createRateLimitRule({
-  identify: (context) =>
-    context.user ? context.user.tenantId.toString() : context.req.ip,
+// Counts the calls of each field per tenant (or per IP address for anonymous requests)
+const rateLimiter = getGraphQLRateLimiter({
+  identifyContext,
+  store: rateLimitStore,
 });
 
 const app = express();
@@ -29,7 +52,15 @@ const PORT = process.env.PORT || 5000;
 
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB Connected!"))
+  .then(() => {
+    console.log("MongoDB Connected!");
+    // Hard-deletes trashed databases and records once their retention period is over
+    startTrashPurgeJob();
+    // Retries failed webhook deliveries with backoff
+    startWebhookDeliveryJob();
+    // Gives activity log entries from before `databaseId`/`recordId` existed those fields
+    startActivityLogBackfill();
+  })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
   });
@@ -41,24 +72,107 @@ const typeDefs = readFileSync(
   "utf-8"
 );
 
+// Reads a "Bearer <token>" authorization value (an HTTP header or WebSocket connection
+// param) or an X-API-Key value and returns `{ user, session }`, or null. For API keys,
+// `user` is the key's principal and there is no session.
+const authenticate = async (authorization, apiKeyHeader) => {
+  let token;
+  if (
+    typeof authorization === "string" &&
+    authorization.startsWith("Bearer")
+  ) {
+    token = authorization.split(" ")[1];
+  } else if (typeof apiKeyHeader === "string") {
+    token = apiKeyHeader.trim();
+  }
+  if (!token) {
+    return null;
+  }
+
+  try {
+    if (isApiKey(token)) {
+      const principal = await authenticateApiKey(token);
+      return principal ? { user: principal, session: null } : null;
+    }
+
+    // Checks the signature, then the session and token version behind it
+    return await authenticateAccessToken(token);
+  } catch (error) {
+    // If the token is invalid or expired, they are not authenticated.
+    console.error("Invalid token:", error.message);
+    return null;
+  }
+};
+
+// Waits until a response can take more data. Resolves false instead when the client
+// disconnects first, since "drain" then never comes.
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const onDrain = () => {
+      res.off("close", onClose);
+      resolve(true);
+    };
+    const onClose = () => {
+      res.off("drain", onDrain);
+      resolve(false);
+    };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+
+// How often open WebSocket connections are checked for ended sessions and revoked keys
+const CONNECTION_RECHECK_MS = 60 * 1000;
+
+// The context of an operation over a WebSocket connection, for its current user
+const connectionContext = (extra) => ({
+  user: extra.user,
+  session: extra.session,
+  loaders: createLoaders(extra.user),
+});
+
+// Checks that the login of an open WebSocket connection is still valid: its session open
+// and the user's token version unchanged, or its API key active. Refreshes the user of the
+// connection and of its running operations (so role and scope changes apply to their
+// event filters) and returns true, or returns false.
+const reauthenticate = async (extra) => {
+  const auth = extra.session
+    ? await resumeSession(extra.session._id, extra.user._id, extra.tokenVersion)
+    : await reloadApiKey(extra.user.apiKeyId).then(
+        (principal) => principal && { user: principal, session: null }
+      );
+  if (!auth) return false;
+  extra.user = auth.user;
+  extra.session = auth.session;
+  for (const context of extra.operations.values()) {
+    Object.assign(context, connectionContext(extra));
+  }
+  return true;
+};
+
 async function startServer() {
   //Build the schema with the transformation ---
   let schema = makeExecutableSchema({ typeDefs, resolvers });
 
-  // This is the new, correct way to apply the directive's logic
+  // Applies @rateLimit to the fields it is set on, or to every field of the type it is set on
   schema = mapSchema(schema, {
-    [MapperKind.OBJECT_FIELD]: (fieldConfig) => {
-      const rateLimitDirective = getDirective(
-        schema,
-        fieldConfig,
-        "rateLimit"
-      )?.[0];
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, _fieldName, typeName) => {
+      const rateLimitDirective =
+        getDirective(schema, fieldConfig, "rateLimit")?.[0] ||
+        getDirective(schema, schema.getType(typeName), "rateLimit")?.[0];
       if (rateLimitDirective) {
-        const { max, window } = rateLimitDirective;
-        // This is the key part: we create a specific rule for this field
-        const rule = rateLimitRule({ max, window });
-        // And then we "wrap" the original resolver with our rate limit logic
-        fieldConfig.resolve = rule(fieldConfig.resolve);
+        const { resolve = defaultFieldResolver } = fieldConfig;
+        fieldConfig.resolve = async (parent, args, context, info) => {
+          // The budgets of the schema are scaled by the tenant's plan
+          const multiplier = context.user
+            ? (await contextPlanLimits(context)).rateLimitMultiplier
+            : 1;
+          const error = await rateLimiter(
+            { parent, args, context, info },
+            { ...rateLimitDirective, max: rateLimitDirective.max * multiplier }
+          );
+          if (error) throw new ApolloError(error, "RATE_LIMITED");
+          return resolve(parent, args, context, info);
+        };
       }
       return fieldConfig;
     },
@@ -66,32 +180,27 @@ async function startServer() {
 
   const server = new ApolloServer({
     schema,
+    // Refuses queries that are too deep or too costly before they run
+    plugins: [queryCostPlugin],
 
     context: async ({ req }) => {
-      let token;
-      if (
-        req.headers.authorization &&
-        req.headers.authorization.startsWith("Bearer")
-      ) {
-        token = req.headers.authorization.split(" ")[1];
-      }
-      if (!token) {
-        return {};
+      const auth = await authenticate(
+        req.headers.authorization,
+        req.headers["x-api-key"]
+      );
+      if (!auth) {
+        return { req };
       }
 
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        const currentUser = await User.findById(decoded.id).select("-password");
-
-        // Attach the user to the context object
-        // Now, every resolver can access `context.user`
-        return { user: currentUser };
-      } catch (error) {
-        // If the token is invalid or expired, they are not authenticated.
-        console.error("Invalid token:", error.message);
-        return {};
-      }
+      // Attach the user to the context object
+      // Now, every resolver can access `context.user` (and `context.session` for logout)
+      // Loaders are created per request so their cache is scoped to this user's tenant
+      return {
+        req,
+        user: auth.user,
+        session: auth.session,
+        loaders: createLoaders(auth.user),
+      };
     },
   });
 
@@ -100,7 +209,61 @@ async function startServer() {
   app.use(express.urlencoded({ extended: false }));
 
   await server.start();
-  server.applyMiddleware({ app });
+  // Imports send whole files as a GraphQL argument, so allow larger bodies than the default
+  server.applyMiddleware({ app, bodyParserConfig: { limit: "10mb" } });
+
+  // Streams a database export as a file download, for exports too large for a GraphQL response
+  app.get("/databases/:id/export", async (req, res, next) => {
+    try {
+      const user = (
+        await authenticate(req.headers.authorization, req.headers["x-api-key"])
+      )?.user;
+      if (!user) {
+        return res.status(401).json({ success: false, statusCode: 401, message: "You must be logged in." });
+      }
+
+      const format = String(req.query.format || "csv").toUpperCase();
+      if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ success: false, statusCode: 400, message: "Format must be csv or json." });
+      }
+
+      const database = mongoose.isValidObjectId(req.params.id)
+        ? await DatabaseDefinition.findOne({
+            _id: req.params.id,
+            tenantId: user.tenantId,
+            isDeleted: false,
+          })
+        : null;
+      if (!database || !hasAccess(database, user, "VIEW")) {
+        return res.status(404).json({
+          success: false,
+          statusCode: 404,
+          message: "Database not found or you don't have permission to view it.",
+        });
+      }
+
+      res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${exportFilename(database, format)}"`
+      );
+      // Leaving the loop early stops the export and closes its cursor
+      for await (const chunk of exportRecords(database, user, format)) {
+        if (res.destroyed) break;
+        // Respect backpressure from slow clients, and stop when they disconnect
+        if (!res.write(chunk) && !(await waitForDrain(res))) break;
+      }
+      if (!res.destroyed) res.end();
+    } catch (error) {
+      // Once the file has started, the client can only be told by cutting it off
+      if (res.headersSent) {
+        console.error("Export failed:", error.message);
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    }
+  });
 
   app.get("/", (req, res) => {
     res.send("Hello World, GraphQL endpoint is at /graphql");
@@ -122,11 +285,106 @@ async function startServer() {
     });
   });
 
-  app.listen(PORT, () => {
+  // Subscriptions share the HTTP server and path with queries and mutations
+  const httpServer = createServer(app);
+  const wsServer = new WebSocketServer({
+    server: httpServer,
+    path: server.graphqlPath,
+  });
+
+  // Closes a connection whose session ended or whose API key was revoked since it opened
+  const closeUnauthorized = (ctx) =>
+    ctx.extra.socket.close(CloseCode.Unauthorized, "Session ended");
+
+  // Open connections are rechecked periodically, so logouts, password changes and revoked
+  // keys also end subscriptions that are already running
+  const connections = new Set();
+  setInterval(() => {
+    for (const ctx of connections) {
+      reauthenticate(ctx.extra)
+        .then((valid) => valid || closeUnauthorized(ctx))
+        .catch((error) => console.error("WebSocket recheck failed:", error.message));
+    }
+  }, CONNECTION_RECHECK_MS).unref();
+
+  useServer(
+    {
+      schema,
+      // Same JWT (or API key) as HTTP requests, sent in the connection params;
+      // anonymous connections are refused
+      onConnect: async (ctx) => {
+        const params = ctx.connectionParams || {};
+        const auth = await authenticate(
+          params.authorization || params.Authorization,
+          params.apiKey
+        );
+        if (!auth) return false;
+        ctx.extra.user = auth.user;
+        ctx.extra.session = auth.session;
+        ctx.extra.tokenVersion = auth.user.tokenVersion ?? 0;
+        // The contexts of the running operations, by operation ID
+        ctx.extra.operations = new Map();
+        connections.add(ctx);
+      },
+      onComplete: (ctx, id) => {
+        ctx.extra.operations.delete(id);
+      },
+      onClose: (ctx) => {
+        connections.delete(ctx);
+      },
+      // Operations sent over the socket get the same depth and cost limits as HTTP requests,
+      // after checking that the connection's session is still valid
+      onSubscribe: async (ctx, id, payload) => {
+        if (!(await reauthenticate(ctx.extra))) {
+          closeUnauthorized(ctx);
+          return [
+            new GraphQLError("Your session has ended. Please log in again.", {
+              extensions: { code: "UNAUTHENTICATED" },
+            }),
+          ];
+        }
+
+        let document;
+        try {
+          document = parse(payload.query);
+        } catch (error) {
+          return [error];
+        }
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) return validationErrors;
+        const operation = getOperationAST(document, payload.operationName);
+        if (!operation) return [new GraphQLError("Unable to identify operation")];
+
+        const contextValue = connectionContext(ctx.extra);
+        try {
+          await checkOperationCost(schema, document, operation, payload.variables, contextValue);
+        } catch (error) {
+          // Apollo errors aren't GraphQLErrors, which graphql-ws expects
+          if (!error.extensions) throw error;
+          return [new GraphQLError(error.message, { extensions: error.extensions })];
+        }
+
+        ctx.extra.operations.set(id, contextValue);
+        return {
+          schema,
+          document,
+          operationName: payload.operationName,
+          variableValues: payload.variables,
+          contextValue,
+        };
+      },
+    },
+    wsServer
+  );
+
+  httpServer.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(
       `GraphQL endpoint ready at http://localhost:${PORT}${server.graphqlPath}`
     );
+    console.log(
+      `Subscriptions ready at ws://localhost:${PORT}${server.graphqlPath}`
+    );
   });
 }
 startServer();
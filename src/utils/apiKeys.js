@@ -0,0 +1,142 @@
+import { ForbiddenError, UserInputError } from "apollo-server-express";
+import ApiKey from "../models/ApiKey.js";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+/*
+ * Tenant API keys for scripts and service integrations.
+ *
+ * A key is sent like an access token (`Authorization: Bearer dbk_...`) or in an
+ * `X-API-Key` header. Requests made with a key run as an API key principal: an object
+ * shaped like a user with the key's tenant and role, no `_id` and the key's `apiKeyId`,
+ * so activity logs and revisions record the key instead of a user.
+ */
+
+export const API_KEY_PREFIX = "dbk_";
+
+// How often lastUsedAt is written at most, to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Generates a new key. Returns the key itself (shown once) and what is stored of it.
+ */
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${generateToken()}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashToken(key) };
+};
+
+/**
+ * Whether a bearer token is an API key rather than a JWT.
+ */
+export const isApiKey = (token) => typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Checks an `ApiKeyInput` and returns the fields to store. Scoped databases must be live
+ * databases of the tenant.
+ */
+export const prepareApiKeyInput = async (input, tenantId) => {
+  if (!input.name || input.name.trim() === "") {
+    throw new UserInputError("API key name cannot be empty.");
+  }
+
+  let expiresAt;
+  if (input.expiresAt) {
+    expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw new UserInputError("expiresAt must be a valid date in the future.");
+    }
+  }
+
+  const scopes = input.scopes || [];
+  const databaseIds = [...new Set(scopes.map((scope) => scope.databaseId))];
+  if (databaseIds.length !== scopes.length) {
+    throw new UserInputError("Each database can only be scoped once.");
+  }
+  if (databaseIds.length > 0) {
+    const found = await DatabaseDefinition.countDocuments({
+      _id: { $in: databaseIds },
+      tenantId,
+      isDeleted: false,
+    });
+    if (found !== databaseIds.length) {
+      throw new UserInputError("One or more scoped databases were not found.");
+    }
+  }
+
+  return {
+    name: input.name.trim(),
+    role: input.role,
+    scopes: scopes.map(({ databaseId, level }) => ({ databaseId, level })),
+    expiresAt,
+  };
+};
+
+/**
+ * Builds the principal requests made with a key run as.
+ */
+export const apiKeyPrincipal = (apiKey) => ({
+  _id: null,
+  apiKeyId: apiKey._id,
+  apiKey,
+  tenantId: apiKey.tenantId,
+  role: apiKey.role,
+  username: `API key "${apiKey.name}"`,
+});
+
+// Keys that are neither revoked nor expired
+const activeKeyMatch = (now) => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * The current principal of a key that is still active, or null. Long-lived connections
+ * (WebSockets) use it to notice revoked keys.
+ */
+export const reloadApiKey = async (apiKeyId) => {
+  const apiKey = await ApiKey.findOne({ _id: apiKeyId, ...activeKeyMatch(new Date()) });
+  return apiKey ? apiKeyPrincipal(apiKey) : null;
+};
+
+/**
+ * Looks up an active, unexpired key and returns its principal, or null.
+ * Records when the key was last used (at most once a minute).
+ */
+export const authenticateApiKey = async (key) => {
+  const now = new Date();
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(key),
+    ...activeKeyMatch(now),
+  });
+  if (!apiKey) return null;
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } }).catch((error) =>
+      console.error("Failed to update API key usage:", error.message)
+    );
+  }
+
+  return apiKeyPrincipal(apiKey);
+};
+
+/**
+ * Throws a ForbiddenError when the request was made with an API key. Used for actions
+ * that only make sense for a person, or that could be used to widen a key's own access.
+ */
+export const assertNotApiKey = (user, action = "This action") => {
+  if (user.apiKeyId) {
+    throw new ForbiddenError(`${action} requires a user login and can't be done with an API key.`);
+  }
+};
+
+/**
+ * Throws a ForbiddenError when the request was made with an API key limited to certain
+ * databases. Used for tenant-wide settings that reach every database, such as webhooks.
+ */
+export const assertNotScopedApiKey = (user, action = "This action") => {
+  if (user.apiKey?.scopes?.length > 0) {
+    throw new ForbiddenError(
+      `${action} can't be done with an API key limited to certain databases.`
+    );
+  }
+};
@@ -0,0 +1,195 @@
+import mongoose from "mongoose";
+import { UserInputError } from "apollo-server-express";
+import ActivityLog, { ACTIVITY_ACTIONS } from "../models/ActivityLog.js";
+import { toCsvLine } from "./csv.js";
+
+// Columns of an activity log CSV export
+const EXPORT_COLUMNS = [
+  "id", "createdAt", "action", "userId", "apiKeyId", "databaseId", "recordId",
+  "before", "after", "details",
+];
+
+// Most entries a single export returns
+export const MAX_EXPORTED_LOGS = 100000;
+
+/**
+ * A plain copy of a field definition, as stored in the before/after of field log entries.
+ */
+export const fieldDefinition = (field) => ({
+  _id: field._id ? field._id.toString() : null,
+  name: field.name,
+  type: field.type,
+  options: [...(field.options || [])],
+  relation: field.relation ? field.relation.toString() : null,
+  formula: field.formula || null,
+  rollup: field.rollup
+    ? {
+        relationField: field.rollup.relationField,
+        targetField: field.rollup.targetField || null,
+        aggregation: field.rollup.aggregation,
+      }
+    : null,
+  resultType: field.resultType || null,
+  required: Boolean(field.required),
+  unique: Boolean(field.unique),
+  defaultValue: field.defaultValue ?? null,
+  min: field.min ?? null,
+  max: field.max ?? null,
+  maxLength: field.maxLength ?? null,
+  pattern: field.pattern ?? null,
+});
+
+/**
+ * A plain copy of the settings of a saved view, for the before/after of view log entries.
+ */
+export const viewSettings = (view) =>
+  JSON.parse(
+    JSON.stringify({
+      name: view.name,
+      layout: view.layout,
+      filter: view.filter ?? null,
+      sort: view.sort ?? null,
+      visibleFieldIds: view.visibleFieldIds ?? [],
+      groupByFieldId: view.groupByFieldId ?? null,
+      pageSize: view.pageSize ?? null,
+    })
+  );
+
+/**
+ * A plain copy of the settings of a webhook, without its secret.
+ */
+export const webhookSettings = (webhook) => ({
+  url: webhook.url,
+  events: [...(webhook.events || [])],
+  databaseId: webhook.databaseId ? webhook.databaseId.toString() : null,
+  description: webhook.description ?? null,
+  isActive: webhook.isActive,
+});
+
+/**
+ * The keys that differ between two snapshots (record values, settings), as a
+ * `{ before, after }` pair holding only the changed keys, plus the list of those keys.
+ */
+export const changedValues = (before, after) => {
+  const previous = before || {};
+  const next = after || {};
+  const keys = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter((key) => JSON.stringify(previous[key] ?? null) !== JSON.stringify(next[key] ?? null))
+    .sort();
+
+  return {
+    changedFields: keys,
+    before: Object.fromEntries(keys.map((key) => [key, previous[key] ?? null])),
+    after: Object.fromEntries(keys.map((key) => [key, next[key] ?? null])),
+  };
+};
+
+const toObjectId = (value, name) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new UserInputError(`${name} must be a valid ID.`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+// Accepts ISO strings and epoch milliseconds (the format dates are returned in)
+const toDate = (value, name) => {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UserInputError(`${name} must be a valid date.`);
+  }
+  return date;
+};
+
+/**
+ * Compiles an `ActivityLogFilterInput` into a query on the tenant's log entries.
+ * `from` is inclusive and `to` exclusive. When `visibleDatabaseIds` is given, entries
+ * about other databases are left out (entries about no database are kept). Old entries
+ * naming their database only in `details` stay hidden until the startup backfill
+ * (jobs/backfillActivityLogRefs.js) has copied it.
+ */
+export const buildActivityLogMatch = (filter, tenantId, visibleDatabaseIds = null) => {
+  const match = { tenantId };
+  if (visibleDatabaseIds) {
+    match.$or = [
+      { databaseId: null, "details.databaseId": null },
+      { databaseId: { $in: visibleDatabaseIds } },
+    ];
+  }
+  if (!filter) return match;
+
+  if (filter.userId) match.userId = toObjectId(filter.userId, "userId");
+  if (filter.apiKeyId) match.apiKeyId = toObjectId(filter.apiKeyId, "apiKeyId");
+  if (filter.databaseId) match.databaseId = toObjectId(filter.databaseId, "databaseId");
+  if (filter.recordId) match.recordId = toObjectId(filter.recordId, "recordId");
+
+  if (filter.actions?.length > 0) {
+    const unknown = filter.actions.filter((action) => !ACTIVITY_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      throw new UserInputError(`Unknown actions: ${unknown.join(", ")}.`);
+    }
+    match.action = { $in: filter.actions };
+  }
+
+  if (filter.from || filter.to) {
+    match.createdAt = {};
+    if (filter.from) match.createdAt.$gte = toDate(filter.from, "from");
+    if (filter.to) match.createdAt.$lt = toDate(filter.to, "to");
+  }
+
+  return match;
+};
+
+/**
+ * File name for an activity log export.
+ */
+export const activityLogExportFilename = (format, now = new Date()) =>
+  `activity-log-${now.toISOString().slice(0, 10)}.${format.toLowerCase()}`;
+
+// An entry as plain JSON, IDs and dates as strings
+const exportRow = (log) => ({
+  id: log._id.toString(),
+  createdAt: log.createdAt.toISOString(),
+  action: log.action,
+  userId: log.userId ? log.userId.toString() : null,
+  apiKeyId: log.apiKeyId ? log.apiKeyId.toString() : null,
+  databaseId: log.databaseId ? log.databaseId.toString() : null,
+  recordId: log.recordId ? log.recordId.toString() : null,
+  before: log.before ?? null,
+  after: log.after ?? null,
+  details: log.details ?? null,
+});
+
+/**
+ * Streams the log entries matching `match` as CSV or JSON, oldest first.
+ * In CSV, `before`, `after` and `details` are JSON text. Yields string chunks.
+ */
+export async function* exportActivityLogs(match, format) {
+  const cursor = ActivityLog.find(match)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_EXPORTED_LOGS)
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  if (format === "CSV") {
+    yield toCsvLine(EXPORT_COLUMNS);
+    for await (const log of cursor) {
+      const row = exportRow(log);
+      yield toCsvLine(
+        EXPORT_COLUMNS.map((column) =>
+          ["before", "after", "details"].includes(column) && row[column] !== null
+            ? JSON.stringify(row[column])
+            : row[column]
+        )
+      );
+    }
+    return;
+  }
+
+  let first = true;
+  yield "[";
+  for await (const log of cursor) {
+    yield `${first ? "" : ","}\n  ${JSON.stringify(exportRow(log))}`;
+    first = false;
+  }
+  yield first ? "]\n" : "\n]\n";
+}
@@ -0,0 +1,178 @@
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import { AuthenticationError, UserInputError } from "apollo-server-express";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+/*
+ * Sessions and tokens.
+ *
+ * Logging in opens a server-side session and returns two tokens:
+ *   - a short-lived access token (JWT) sent as "Bearer <token>" on every request, and
+ *   - a refresh token that trades in for a new pair through `refreshToken`.
+ *
+ * Refresh tokens rotate: every use replaces the token, and presenting a replaced token
+ * again (a sign it was stolen) revokes the session. Every request checks that the access
+ * token's session is still open and that the user's token version hasn't moved on, so
+ * logout, password changes and removed users take effect immediately.
+ */
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+export const MIN_PASSWORD_LENGTH = 8;
+
+const SALT_ROUNDS = 10;
+
+/**
+ * The form emails are stored and looked up in: trimmed and lowercased, so signup, login,
+ * invitations and password resets agree on who an address belongs to.
+ */
+export const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+/**
+ * Checks a new password and returns its bcrypt hash.
+ */
+export const hashNewPassword = async (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserInputError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+  return bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// Signs an access token bound to a session and to the user's current token version
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      tenantId: user.tenantId,
+      sid: session._id,
+      ver: user.tokenVersion ?? 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+// The AuthPayload for a session and its freshly issued refresh token
+const authPayload = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session),
+  accessTokenExpiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  user,
+});
+
+/**
+ * Opens a session for the user and returns the AuthPayload for it.
+ * `req` (the HTTP request, if any) is kept for the session's device details.
+ */
+export const startSession = async (user, req) => {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    tenantId: user.tenantId,
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req?.headers?.["user-agent"],
+    ip: req?.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return authPayload(user, session, refreshToken);
+};
+
+/**
+ * Trades a refresh token for a new access and refresh token of the same session.
+ * Throws an AuthenticationError when the token is unknown, expired or was already used.
+ */
+export const refreshSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken || "");
+  const nextToken = generateToken();
+  const now = new Date();
+
+  // Rotating is one atomic update, so a token can only ever be traded in once
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        lastUsedAt: now,
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A replaced token showing up again means someone else holds it: end the session
+    await Session.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: "TOKEN_REUSE" } }
+    );
+    throw new AuthenticationError("Invalid or expired refresh token. Please log in again.");
+  }
+
+  const user = await User.findById(session.userId).select("-password");
+  if (!user) {
+    await revokeSession(session._id, "USER_REMOVED");
+    throw new AuthenticationError("Invalid or expired refresh token. Please log in again.");
+  }
+
+  return authPayload(user, session, nextToken);
+};
+
+/**
+ * Ends one session; its access and refresh tokens stop working right away.
+ */
+export const revokeSession = (sessionId, reason) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+/**
+ * Ends every session of a user and bumps their token version, so no token issued so far
+ * works anymore. Returns the user with the new token version.
+ */
+export const revokeAllSessions = async (userId, reason) => {
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }).select(
+    "-password"
+  );
+};
+
+/**
+ * Checks an access token against its session and the user's token version.
+ * Returns `{ user, session }`, or null when the token is not (or no longer) valid.
+ */
+export const authenticateAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Tokens from before sessions existed carry no session and are refused
+  if (!decoded.sid) return null;
+
+  return resumeSession(decoded.sid, decoded.id, decoded.ver);
+};
+
+/**
+ * Checks that a session is still open and that its user's token version is still
+ * `tokenVersion`. Returns `{ user, session }` with the current user, or null. Long-lived
+ * connections (WebSockets) use it to notice logouts and password changes.
+ */
+export const resumeSession = async (sessionId, userId, tokenVersion) => {
+  const [user, session] = await Promise.all([
+    User.findById(userId).select("-password"),
+    Session.findOne({
+      _id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }),
+  ]);
+  if (!user || !session || (user.tokenVersion ?? 0) !== tokenVersion) return null;
+
+  return { user, session };
+};
@@ -0,0 +1,351 @@
+import mongoose from "mongoose";
+import { UserInputError } from "apollo-server-express";
+import Record from "../models/Record.js";
+import { validateRecordValues } from "./recordValidation.js";
+import { buildRecordsPipeline } from "./recordsPipeline.js";
+import { pruneRecordRevisions, recordBulkRevisions, snapshotValues } from "./revisions.js";
+import { publishRecordChanged } from "./events.js";
+
+/*
+ * Bulk record mutations.
+ *
+ * Every operation works on records of one database and reports one result per item.
+ * Atomic operations (the default) write nothing unless every item is valid, and write
+ * everything in a MongoDB transaction, which needs a replica set. With `atomic: false`
+ * valid items are written and invalid ones are reported, without a transaction.
+ *
+ * Item statuses: SUCCEEDED, FAILED (the item itself was rejected) and SKIPPED (valid,
+ * but not written because another item of an atomic operation failed).
+ */
+
+export const MAX_BULK_ITEMS = 1000;
+
+// A per-item result
+const succeeded = (index, record) => ({
+  index,
+  id: record._id,
+  status: "SUCCEEDED",
+  message: null,
+  fieldErrors: [],
+  record,
+});
+const failed = (index, id, message, fieldErrors = []) => ({
+  index,
+  id,
+  status: "FAILED",
+  message,
+  fieldErrors,
+  record: null,
+});
+
+// Atomic operations with a failed item write nothing; the valid items are marked SKIPPED
+const skipValidItems = (results) =>
+  results.map((result) =>
+    result.status === "SUCCEEDED"
+      ? {
+          ...result,
+          status: "SKIPPED",
+          record: null,
+          message: "Not written because another item failed.",
+        }
+      : result
+  );
+
+// Runs the writes of an operation, inside a transaction when it is atomic
+const runWrites = async (atomic, writes) => {
+  if (!atomic) return writes(null);
+  try {
+    return await mongoose.connection.transaction((session) => writes(session));
+  } catch (error) {
+    // 20 = IllegalOperation: standalone servers don't support transactions
+    if (error.code === 20) {
+      throw new Error(
+        "Atomic bulk operations need MongoDB transactions (a replica set). Use atomic: false instead."
+      );
+    }
+    throw error;
+  }
+};
+
+// Indexes of the operations of an unordered bulk write that failed, from its error
+const failedWriteIndexes = (error) => {
+  const writeErrors = error.writeErrors || error.result?.getWriteErrors?.() || [];
+  if (writeErrors.length === 0) throw error;
+  return new Map(
+    [].concat(writeErrors).map((writeError) => [
+      writeError.index,
+      writeError.errmsg || writeError.err?.errmsg || "Write failed.",
+    ])
+  );
+};
+
+/**
+ * Loads the live records of a database selected by `ids` or by a typed `filter`
+ * (exactly one of them). Returns `{ items }` with one `{ id, record }` per selected ID, in
+ * request order; `record` is null when the ID is not a live record of the database.
+ */
+export const selectBulkRecords = async (database, { ids, filter }, user) => {
+  const { tenantId } = user;
+  if ((ids && filter) || (!ids && !filter)) {
+    throw new UserInputError("Select records with either ids or filter.");
+  }
+
+  if (ids) {
+    if (ids.length > MAX_BULK_ITEMS) {
+      throw new UserInputError(`At most ${MAX_BULK_ITEMS} records can be changed at once.`);
+    }
+    const uniqueIds = [...new Set(ids)];
+    const records = await Record.find({
+      _id: { $in: uniqueIds.filter((id) => mongoose.isValidObjectId(id)) },
+      databaseId: database._id,
+      tenantId,
+      isDeleted: false,
+    });
+    const byId = new Map(records.map((record) => [record._id.toString(), record]));
+    return { items: uniqueIds.map((id) => ({ id, record: byId.get(id) || null })) };
+  }
+
+  // The records pipeline resolves computed fields, so filters work exactly as in `records`
+  const pipeline = await buildRecordsPipeline(database, { filter }, tenantId, user);
+  const matched = await Record.aggregate([
+    ...pipeline,
+    { $sort: { _id: 1 } },
+    { $limit: MAX_BULK_ITEMS + 1 },
+    { $project: { _id: 1 } },
+  ]);
+  if (matched.length > MAX_BULK_ITEMS) {
+    throw new UserInputError(
+      `The filter matches more than ${MAX_BULK_ITEMS} records. Narrow it down and try again.`
+    );
+  }
+  const records = await Record.find({ _id: { $in: matched.map((doc) => doc._id) } }).sort({
+    _id: 1,
+  });
+  return { items: records.map((record) => ({ id: record._id, record })) };
+};
+
+// One result per selected item: found records succeed unless a write fails later
+const selectionResults = (items) =>
+  items.map(({ id, record }, index) =>
+    record ? succeeded(index, record) : failed(index, id, "Record not found in this database.")
+  );
+
+// Publishes the change events and prunes revisions once the writes are committed
+const afterCommit = async (type, records, user) => {
+  await pruneRecordRevisions(
+    user.tenantId,
+    records.map((record) => record._id)
+  );
+  for (const record of records) {
+    await publishRecordChanged(type, record, user);
+  }
+};
+
+/**
+ * Creates records from a list of value objects.
+ * Returns `{ results, records }` with the created records.
+ */
+export const bulkCreateRecords = async (database, items, user, { atomic = true } = {}) => {
+  if (items.length === 0) throw new UserInputError("Provide at least one record.");
+  if (items.length > MAX_BULK_ITEMS) {
+    throw new UserInputError(`At most ${MAX_BULK_ITEMS} records can be created at once.`);
+  }
+
+  const results = [];
+  const documents = [];
+  // Unique values used by earlier items of this call
+  const claimedValues = new Map();
+  for (const [index, values] of items.entries()) {
+    try {
+      const validatedValues = await validateRecordValues(database, values, {
+        tenantId: user.tenantId,
+        isNew: true,
+        claimedValues,
+      });
+      // A null on create simply means the field is left empty
+      for (const [fieldName, value] of validatedValues) {
+        if (value === null) validatedValues.delete(fieldName);
+      }
+      const record = new Record({
+        databaseId: database._id,
+        tenantId: user.tenantId,
+        values: validatedValues,
+      });
+      documents.push({ index, record });
+      results.push(succeeded(index, record));
+    } catch (error) {
+      if (!(error instanceof UserInputError)) throw error;
+      results.push(failed(index, null, error.message, error.extensions?.fieldErrors));
+    }
+  }
+
+  const hasFailures = results.some((result) => result.status === "FAILED");
+  if ((atomic && hasFailures) || documents.length === 0) {
+    // Records that were never created have no ID
+    const skipped = skipValidItems(results).map((result) => ({ ...result, id: null }));
+    return { results: atomic ? skipped : results, records: [] };
+  }
+
+  const created = await runWrites(atomic, async (session) => {
+    let failedIndexes = new Map();
+    try {
+      await Record.insertMany(
+        documents.map(({ record }) => record),
+        { session, ordered: atomic }
+      );
+    } catch (error) {
+      if (atomic) throw error;
+      failedIndexes = failedWriteIndexes(error);
+    }
+
+    const written = [];
+    documents.forEach(({ index, record }, position) => {
+      if (failedIndexes.has(position)) {
+        results[index] = failed(index, null, failedIndexes.get(position));
+      } else {
+        written.push(record);
+      }
+    });
+
+    await recordBulkRevisions(
+      written.map((record) => ({
+        record,
+        action: "CREATE",
+        before: null,
+        after: snapshotValues(record.values),
+      })),
+      user,
+      { session }
+    );
+    return written;
+  });
+
+  await afterCommit("CREATED", created, user);
+  return { results, records: created };
+};
+
+/**
+ * Applies the same values to every selected record (a null clears a field).
+ * Returns `{ results, records }` with the updated records.
+ */
+export const bulkUpdateRecords = async (
+  database,
+  selection,
+  values,
+  user,
+  { atomic = true } = {}
+) => {
+  const { items } = await selectBulkRecords(database, selection, user);
+  const results = selectionResults(items);
+  const found = items.filter((item) => item.record);
+  const records = found.map((item) => item.record);
+
+  // The values are the same for every record, so invalid values fail the whole operation
+  const validatedValues = await validateRecordValues(database, values, {
+    tenantId: user.tenantId,
+    recordIds: records.map((record) => record._id),
+  });
+  if (validatedValues.size === 0) throw new UserInputError("Provide at least one value to set.");
+
+  const repeated = database.fields.filter(
+    (field) => field.unique && validatedValues.get(field.name) != null
+  );
+  if (repeated.length > 0 && records.length > 1) {
+    throw new UserInputError("Unique fields can't be set to the same value on several records.", {
+      fieldErrors: repeated.map((field) => ({
+        field: field.name,
+        message: "This field is unique.",
+      })),
+    });
+  }
+  if ((atomic && found.length < items.length) || records.length === 0) {
+    return { results: atomic ? skipValidItems(results) : results, records: [] };
+  }
+
+  const $set = { updatedAt: new Date() };
+  const $unset = {};
+  for (const [fieldName, value] of validatedValues) {
+    if (value === null) $unset[`values.${fieldName}`] = "";
+    else $set[`values.${fieldName}`] = value;
+  }
+
+  const changes = records.map((record) => {
+    const before = snapshotValues(record.values);
+    for (const [fieldName, value] of validatedValues) {
+      if (value === null) record.values.delete(fieldName);
+      else record.values.set(fieldName, value);
+    }
+    record.updatedAt = $set.updatedAt;
+    return { record, action: "UPDATE", before, after: snapshotValues(record.values) };
+  });
+
+  const updated = await runWrites(atomic, async (session) => {
+    let failedIndexes = new Map();
+    try {
+      await Record.bulkWrite(
+        records.map((record) => ({
+          updateOne: {
+            filter: { _id: record._id, tenantId: user.tenantId, isDeleted: false },
+            update: Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+          },
+        })),
+        { session, ordered: atomic }
+      );
+    } catch (error) {
+      if (atomic) throw error;
+      failedIndexes = failedWriteIndexes(error);
+    }
+
+    for (const [position, message] of failedIndexes) {
+      const index = items.indexOf(found[position]);
+      results[index] = failed(index, found[position].id, message);
+    }
+    const written = changes.filter((_, position) => !failedIndexes.has(position));
+    await recordBulkRevisions(written, user, { session });
+    return written.map(({ record }) => record);
+  });
+
+  await afterCommit("UPDATED", updated, user);
+  return { results, records: updated };
+};
+
+/**
+ * Moves the selected records to the trash.
+ * Returns `{ results, records }` with the deleted records.
+ */
+export const bulkDeleteRecords = async (database, selection, user, { atomic = true } = {}) => {
+  const { items } = await selectBulkRecords(database, selection, user);
+  const results = selectionResults(items);
+  const records = items.map((item) => item.record).filter(Boolean);
+  if ((atomic && records.length < items.length) || records.length === 0) {
+    return { results: atomic ? skipValidItems(results) : results, records: [] };
+  }
+
+  const deletedAt = new Date();
+  const deleted = await runWrites(atomic, async (session) => {
+    // One update for all records; the filter skips records trashed in the meantime
+    await Record.updateMany(
+      {
+        _id: { $in: records.map((record) => record._id) },
+        tenantId: user.tenantId,
+        isDeleted: false,
+      },
+      { $set: { isDeleted: true, deletedAt, deletedBy: user._id, updatedAt: deletedAt } },
+      { session }
+    );
+    await recordBulkRevisions(
+      records.map((record) => ({
+        record,
+        action: "DELETE",
+        before: snapshotValues(record.values),
+        after: null,
+      })),
+      user,
+      { session }
+    );
+    return records;
+  });
+
+  await afterCommit("DELETED", deleted, user);
+  return { results, records: deleted };
+};
@@ -0,0 +1,83 @@
+/*
+ * Minimal CSV (RFC 4180) reading and writing: comma separated, fields optionally quoted
+ * with double quotes, quotes inside quoted fields doubled, CRLF or LF line endings.
+ *
+ * Written cells that a spreadsheet would run as a formula (starting with =, +, -, @, tab
+ * or carriage return) get a leading ' so they open as text; plain numbers are kept.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Quotes a single value for a CSV line when needed. null/undefined become an empty cell.
+ */
+export const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds one CSV line (with a trailing CRLF) from a list of values.
+ */
+export const toCsvLine = (values) => `${values.map(toCsvCell).join(",")}\r\n`;
+
+/**
+ * Parses CSV text into a list of rows (arrays of strings).
+ * Throws an Error with the line number on an unterminated quoted field.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  // Skip a UTF-8 byte order mark left by spreadsheet exports
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+      line += 1;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}.`);
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== "");
+};
@@ -0,0 +1,240 @@
+import mongoose from "mongoose";
+import { UserInputError } from "apollo-server-express";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Record from "../models/Record.js";
+import { prepareFormulaFields } from "./formula.js";
+import { prepareRollupFields } from "./rollup.js";
+import { prepareFieldConstraints } from "./fieldConstraints.js";
+import { hasAccess } from "./permissions.js";
+import { validateRecordValues } from "./recordValidation.js";
+import { recordCreationRevisions } from "./revisions.js";
+
+/*
+ * Databases built from other databases: duplicates and databases created from templates.
+ *
+ * Both start from plain field definitions, where a relation to the database itself is
+ * written as "self" so it points at the new database instead of the original one.
+ */
+
+// Marks a relation field that links records of its own database
+export const SELF_RELATION = "self";
+
+// Records inserted per batch
+const BATCH_SIZE = 500;
+
+/**
+ * A plain copy of a field definition that can be used to build another database.
+ */
+export const copyableField = (field, database) => {
+  let relation = null;
+  if (field.relation) {
+    relation =
+      field.relation.toString() === database._id.toString()
+        ? SELF_RELATION
+        : field.relation.toString();
+  }
+
+  return {
+    name: field.name,
+    type: field.type,
+    options: [...(field.options || [])],
+    relation,
+    formula: field.formula || null,
+    rollup: field.rollup
+      ? {
+          relationField: field.rollup.relationField,
+          targetField: field.rollup.targetField || null,
+          aggregation: field.rollup.aggregation,
+        }
+      : null,
+    required: Boolean(field.required),
+    unique: Boolean(field.unique),
+    // Dates as ISO strings, the way a FieldInput sends them
+    defaultValue:
+      field.defaultValue instanceof Date
+        ? field.defaultValue.toISOString()
+        : field.defaultValue ?? null,
+    min: field.min ?? null,
+    max: field.max ?? null,
+    maxLength: field.maxLength ?? null,
+    pattern: field.pattern ?? null,
+  };
+};
+
+/**
+ * Builds a new database of the user's tenant from plain field definitions, checking its
+ * relations, rollups, formulas and constraints like `createField` does. Nothing is saved.
+ * Relations must point at "self" or at a live database the user can view.
+ */
+export const buildDatabase = async (name, fields, user) => {
+  if (!name || name.trim() === "") {
+    throw new UserInputError("Database name cannot be empty.");
+  }
+
+  const database = new DatabaseDefinition({
+    name,
+    tenantId: user.tenantId,
+    fields: [],
+  });
+
+  const relationErrors = [];
+  for (const field of fields) {
+    let relation = field.relation || null;
+    if (relation === SELF_RELATION) {
+      relation = database._id;
+    } else if (relation) {
+      const related = mongoose.isValidObjectId(relation)
+        ? await DatabaseDefinition.findOne({
+            _id: relation,
+            tenantId: user.tenantId,
+            isDeleted: false,
+          })
+        : null;
+      if (!related || !hasAccess(related, user, "VIEW")) {
+        relationErrors.push({
+          field: field.name,
+          message: "The related database no longer exists or you can't view it.",
+        });
+        continue;
+      }
+    }
+    database.fields.push({ ...field, relation });
+  }
+  if (relationErrors.length > 0) {
+    throw new UserInputError("One or more relation fields can't be created.", {
+      relationErrors,
+    });
+  }
+
+  await prepareRollupFields(database);
+  prepareFormulaFields(database.fields);
+  prepareFieldConstraints(database);
+  return database;
+};
+
+/**
+ * Saves a database made by `buildDatabase`, reporting a name that is already taken.
+ */
+export const saveNewDatabase = async (database) => {
+  try {
+    await database.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new UserInputError(
+        "A database with this name already exists in your tenant."
+      );
+    }
+    throw error;
+  }
+  return database;
+};
+
+// Inserts a batch of new records and writes their CREATE revisions
+const insertBatch = async (documents, user) => {
+  if (documents.length === 0) return 0;
+  const inserted = await Record.insertMany(documents);
+  await recordCreationRevisions(inserted, user);
+  return inserted.length;
+};
+
+/**
+ * Copies the live records of `source` into the saved database `target` (its duplicate),
+ * in the same order. Links of self-relations are moved to the copied records; links to
+ * other databases are kept. Returns the number of copied records.
+ */
+export const copyRecords = async (source, target, user) => {
+  const match = {
+    databaseId: source._id,
+    tenantId: source.tenantId,
+    isDeleted: false,
+  };
+  const order = { createdAt: 1, _id: 1 };
+
+  // The copies get their IDs up front, so self-relations can point at them
+  const newIds = new Map(
+    (await Record.find(match).sort(order).select("_id").lean()).map((record) => [
+      record._id.toString(),
+      new mongoose.Types.ObjectId(),
+    ])
+  );
+  const selfRelations = target.fields
+    .filter(
+      (field) =>
+        field.type === "relation" &&
+        field.relation?.toString() === target._id.toString()
+    )
+    .map((field) => field.name);
+
+  let copied = 0;
+  let batch = [];
+  for await (const record of Record.find(match).sort(order).lean().cursor()) {
+    // Records created after the copy started are left out
+    if (!newIds.has(record._id.toString())) continue;
+
+    const values = { ...record.values };
+    for (const fieldName of selfRelations) {
+      if (values[fieldName] == null) continue;
+      values[fieldName] = [].concat(values[fieldName])
+        .map((id) => newIds.get(id.toString()))
+        .filter(Boolean);
+    }
+
+    batch.push({
+      _id: newIds.get(record._id.toString()),
+      tenantId: target.tenantId,
+      databaseId: target._id,
+      values,
+    });
+    if (batch.length >= BATCH_SIZE) {
+      copied += await insertBatch(batch, user);
+      batch = [];
+    }
+  }
+  copied += await insertBatch(batch, user);
+
+  return copied;
+};
+
+/**
+ * Validates sample records (values keyed by field name) against a database built by
+ * `buildDatabase`, before it is saved. Returns the values to pass to `insertSampleRecords`.
+ */
+export const prepareSampleRecords = async (database, samples) => {
+  const claimedValues = new Map();
+  const prepared = [];
+
+  for (const [index, values] of samples.entries()) {
+    try {
+      prepared.push(
+        await validateRecordValues(database, values, {
+          tenantId: database.tenantId,
+          isNew: true,
+          claimedValues,
+        })
+      );
+    } catch (error) {
+      if (!(error instanceof UserInputError)) throw error;
+      throw new UserInputError(
+        `Sample record ${index + 1} of the template is invalid.`,
+        { fieldErrors: error.extensions?.fieldErrors || [] }
+      );
+    }
+  }
+
+  return prepared;
+};
+
+/**
+ * Inserts the sample records prepared by `prepareSampleRecords` into the saved database.
+ * Returns the number of inserted records.
+ */
+export const insertSampleRecords = async (database, samples, user) => {
+  const documents = samples.map((values) => {
+    // A null on create simply means the field is left empty
+    for (const [fieldName, value] of values) {
+      if (value === null) values.delete(fieldName);
+    }
+    return { tenantId: database.tenantId, databaseId: database._id, values };
+  });
+  return insertBatch(documents, user);
+};
@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+import { UserInputError } from "apollo-server-express";
+import DatabaseTemplate from "../models/DatabaseTemplate.js";
+import Record from "../models/Record.js";
+import { SELF_RELATION, copyableField } from "./databaseCopy.js";
+
+/*
+ * Database templates.
+ *
+ * The catalog holds the built-in templates below plus the templates each tenant saved from
+ * its own databases. A template is a list of plain field definitions (see `copyableField`)
+ * and optional sample records, keyed by field name.
+ */
+
+// Most records kept as samples when a database is saved as a template
+export const MAX_TEMPLATE_RECORDS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date relative to today, so sample records never look stale
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Fills in the parts of a field definition the built-in templates leave out
+const field = (name, type, settings = {}) => ({
+  ...copyableField({ name, type }, { _id: null }),
+  ...settings,
+});
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: "task-tracker",
+    name: "Task Tracker",
+    description: "Tasks with a status, priority, assignee and due date, and the tasks blocking them.",
+    fields: [
+      field("Name", "text", { required: true }),
+      field("Status", "select", {
+        options: ["Not started", "In progress", "Done"],
+        required: true,
+        defaultValue: "Not started",
+      }),
+      field("Priority", "select", { options: ["Low", "Medium", "High"], defaultValue: "Medium" }),
+      field("Assignee", "text"),
+      field("Due", "date"),
+      field("Estimate (hours)", "number", { min: 0 }),
+      field("Blocked by", "relation", { relation: SELF_RELATION }),
+      field("Overdue", "formula", { formula: '!empty(prop("Due")) && prop("Status") != "Done" && prop("Due") < now()' }),
+    ],
+    sampleRecords: () => [
+      { Name: "Write project brief", Status: "Done", Priority: "High", Due: daysFromNow(-3), "Estimate (hours)": 2 },
+      { Name: "Review designs", Status: "In progress", Priority: "Medium", Due: daysFromNow(2), "Estimate (hours)": 3 },
+      { Name: "Plan launch", Priority: "Low", Due: daysFromNow(10) },
+    ],
+  },
+  {
+    id: "crm",
+    name: "CRM",
+    description: "Companies and deals through a sales pipeline, with the expected revenue of each deal.",
+    fields: [
+      field("Company", "text", { required: true, unique: true }),
+      field("Contact", "text"),
+      field("Email", "text", { pattern: "^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$" }),
+      field("Stage", "select", {
+        options: ["Lead", "Qualified", "Proposal", "Won", "Lost"],
+        required: true,
+        defaultValue: "Lead",
+      }),
+      field("Deal value", "number", { min: 0 }),
+      field("Probability (%)", "number", { min: 0, max: 100 }),
+      field("Expected revenue", "formula", { formula: 'prop("Deal value") * prop("Probability (%)") / 100' }),
+      field("Next follow-up", "date"),
+    ],
+    sampleRecords: () => [
+      { Company: "Acme Corp", Contact: "Jane Doe", Email: "jane@acme.example", Stage: "Proposal", "Deal value": 12000, "Probability (%)": 60, "Next follow-up": daysFromNow(3) },
+      { Company: "Globex", Contact: "John Smith", Email: "john@globex.example", Stage: "Qualified", "Deal value": 5000, "Probability (%)": 30 },
+      { Company: "Initech", Stage: "Lead" },
+    ],
+  },
+  {
+    id: "bug-tracker",
+    name: "Bug Tracker",
+    description: "Bug reports with severity, status and steps to reproduce, linked to the bugs they duplicate.",
+    fields: [
+      field("Title", "text", { required: true }),
+      field("Severity", "select", {
+        options: ["Critical", "Major", "Minor", "Trivial"],
+        required: true,
+        defaultValue: "Minor",
+      }),
+      field("Status", "select", {
+        options: ["Open", "In progress", "Fixed", "Won't fix"],
+        required: true,
+        defaultValue: "Open",
+      }),
+      field("Reporter", "text"),
+      field("Steps to reproduce", "text"),
+      field("Reported on", "date"),
+      field("Regression", "boolean", { defaultValue: false }),
+      field("Duplicate of", "relation", { relation: SELF_RELATION }),
+    ],
+    sampleRecords: () => [
+      { Title: "Login button does nothing on Safari", Severity: "Major", Status: "In progress", Reporter: "QA", "Reported on": daysFromNow(-2), Regression: true },
+      { Title: "Typo on the pricing page", Severity: "Trivial", "Reported on": daysFromNow(-1) },
+    ],
+  },
+];
+
+// A catalog entry, the shape of the `DatabaseTemplate` GraphQL type
+const builtInEntry = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  builtIn: true,
+  fields: template.fields,
+  sampleRecords: template.sampleRecords(),
+  createdBy: null,
+  createdAt: null,
+});
+
+/**
+ * The catalog entry of a template saved by a tenant.
+ */
+export const savedTemplateEntry = (template) => ({
+  id: template._id.toString(),
+  name: template.name,
+  description: template.description || null,
+  builtIn: false,
+  fields: template.fields,
+  sampleRecords: template.sampleRecords,
+  createdBy: template.createdBy || null,
+  createdAt: template.createdAt,
+});
+
+/**
+ * The built-in templates followed by the tenant's saved templates, by name.
+ */
+export const listTemplates = async (tenantId) => {
+  const saved = await DatabaseTemplate.find({ tenantId }).sort({ name: 1 });
+  return [...BUILT_IN_TEMPLATES.map(builtInEntry), ...saved.map(savedTemplateEntry)];
+};
+
+/**
+ * Finds a built-in template by its ID (e.g. "crm") or a saved template of the tenant.
+ */
+export const findTemplate = async (id, tenantId) => {
+  const builtIn = BUILT_IN_TEMPLATES.find((template) => template.id === id);
+  if (builtIn) return builtInEntry(builtIn);
+
+  const saved = mongoose.isValidObjectId(id)
+    ? await DatabaseTemplate.findOne({ _id: id, tenantId })
+    : null;
+  if (!saved) throw new UserInputError("Template not found.");
+  return savedTemplateEntry(saved);
+};
+
+/**
+ * Deletes a saved template of the tenant. Returns the deleted template, or null.
+ */
+export const deleteSavedTemplate = (id, tenantId) =>
+  mongoose.isValidObjectId(id)
+    ? DatabaseTemplate.findOneAndDelete({ _id: id, tenantId })
+    : null;
+
+/**
+ * The fields of a database and (optionally) up to 100 of its live records as sample
+ * records, for saving it as a template. Relation values are left out of the samples,
+ * since the linked records won't exist in the databases built from the template.
+ */
+export const templateFromDatabase = async (database, { includeRecords = false } = {}) => {
+  const fields = database.fields.map((f) => copyableField(f, database));
+  if (!includeRecords) return { fields, sampleRecords: [] };
+
+  const storedFields = database.fields
+    .filter((f) => !["relation", "formula", "rollup"].includes(f.type))
+    .map((f) => f.name);
+  const records = await Record.find({
+    databaseId: database._id,
+    tenantId: database.tenantId,
+    isDeleted: false,
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_TEMPLATE_RECORDS)
+    .lean();
+
+  // Plain JSON values, dates as ISO strings, as they would be sent to createRecord
+  const sampleRecords = records.map((record) =>
+    JSON.parse(
+      JSON.stringify(
+        Object.fromEntries(
+          storedFields
+            .filter((name) => record.values?.[name] != null)
+            .map((name) => [name, record.values[name]])
+        )
+      )
+    )
+  );
+  return { fields, sampleRecords };
+};
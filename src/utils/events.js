@@ -0,0 +1,51 @@
+import { publish } from "./pubsub.js";
+
+/*
+ * Domain events published for GraphQL subscriptions.
+ *
+ * Every topic name starts with the tenant ID, so a subscriber can only ever receive
+ * events of its own tenant. Payloads carry IDs only; subscription resolvers load the
+ * current data (and check access) when delivering.
+ */
+
+export const topics = {
+  recordChanged: (tenantId, databaseId) => `tenant:${tenantId}:database:${databaseId}:records`,
+  databaseSchemaChanged: (tenantId, databaseId) => `tenant:${tenantId}:database:${databaseId}:schema`,
+  activityLogAdded: (tenantId) => `tenant:${tenantId}:activity`,
+};
+
+/**
+ * Announces that records of a database were created, updated, deleted or restored.
+ * `type` is one of CREATED, UPDATED, DELETED, RESTORED.
+ */
+export const publishRecordChanged = (type, record, user) =>
+  publish(topics.recordChanged(record.tenantId, record.databaseId), {
+    type,
+    recordId: record._id.toString(),
+    databaseId: record.databaseId.toString(),
+    userId: user._id ? user._id.toString() : null,
+    apiKeyId: user.apiKeyId ? user.apiKeyId.toString() : null,
+  });
+
+/**
+ * Announces a change to a database's schema or to the database itself.
+ * `type` is one of FIELD_CREATED, FIELD_UPDATED, FIELD_DELETED, DATABASE_UPDATED,
+ * DATABASE_DELETED, DATABASE_RESTORED.
+ */
+export const publishSchemaChanged = (type, database, user, fieldId = null) =>
+  publish(topics.databaseSchemaChanged(database.tenantId, database._id), {
+    type,
+    databaseId: database._id.toString(),
+    fieldId: fieldId ? fieldId.toString() : null,
+    userId: user._id ? user._id.toString() : null,
+    apiKeyId: user.apiKeyId ? user.apiKeyId.toString() : null,
+  });
+
+/**
+ * Announces a new activity log entry.
+ */
+export const publishActivityLogAdded = (log) =>
+  publish(topics.activityLogAdded(log.tenantId), {
+    logId: log._id.toString(),
+    databaseId: log.databaseId ? log.databaseId.toString() : null,
+  });
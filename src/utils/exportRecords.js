@@ -0,0 +1,64 @@
+import Record from "../models/Record.js";
+import { buildRecordsPipeline } from "./recordsPipeline.js";
+import { toCsvLine } from "./csv.js";
+
+// Supported export formats
+export const EXPORT_FORMATS = {
+  CSV: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  JSON: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+// Text of a stored or computed value in a CSV cell. Lists (multi-select options,
+// relation IDs) are joined with ", ", which is also how imports split them.
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toCsvValue).join(", ");
+  return String(value);
+};
+
+/**
+ * File name for an export of a database.
+ */
+export const exportFilename = (database, format) =>
+  `${database.name.replace(/[^\w.-]+/g, "_")}.${EXPORT_FORMATS[format].extension}`;
+
+/**
+ * Streams every live record of a database as CSV or JSON, in creation order.
+ *
+ * Columns (CSV) and keys (JSON) are the database's fields in schema order, computed
+ * fields included, as the exporting `user` may read them. Yields string chunks, so large
+ * databases are never held in memory.
+ */
+export async function* exportRecords(database, user, format) {
+  const fieldNames = database.fields.map((field) => field.name);
+  const pipeline = [
+    ...(await buildRecordsPipeline(database, {}, user.tenantId, user)),
+    { $sort: { _id: 1 } },
+  ];
+  const cursor = Record.aggregate(pipeline).cursor({ batchSize: 500 });
+
+  // The cursor is closed however the export ends, including when the caller stops early
+  try {
+    if (format === "CSV") {
+      yield toCsvLine(fieldNames);
+      for await (const record of cursor) {
+        yield toCsvLine(fieldNames.map((name) => toCsvValue(record.values?.[name])));
+      }
+      return;
+    }
+
+    // JSON: an array with one object per record, keyed by field name
+    let first = true;
+    yield "[";
+    for await (const record of cursor) {
+      const row = Object.fromEntries(fieldNames.map((name) => [name, record.values?.[name] ?? null]));
+      yield `${first ? "" : ","}\n  ${JSON.stringify(row)}`;
+      first = false;
+    }
+    yield first ? "]\n" : "\n]\n";
+  } finally {
+    // Unlike close(), destroy() also closes a cursor whose aggregation hasn't started yet
+    cursor.destroy();
+  }
+}
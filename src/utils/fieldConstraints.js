@@ -0,0 +1,167 @@
+import { UserInputError } from "apollo-server-express";
+import Record from "../models/Record.js";
+import { MAX_PATTERN_LENGTH, checkFieldValue, compilePattern } from "./recordValidation.js";
+
+/*
+ * Field constraints.
+ *
+ * A field can be `required` or `unique` (within its database), have a `defaultValue` for
+ * new records, a `min`/`max` for numbers and a `maxLength`/`pattern` for text. The record
+ * values are checked against them in `validateRecordValues`; this module checks the
+ * constraints themselves when the schema is saved, and the existing records when a
+ * `required` or `unique` constraint is turned on.
+ *
+ * `unique` is checked before each write rather than by a database index, so two writes
+ * racing with the same value can both pass.
+ */
+
+// Field types whose values are computed on read and never stored
+const COMPUTED_TYPES = ["formula", "rollup"];
+
+// Field types whose values can be compared for uniqueness
+const UNIQUE_TYPES = ["text", "number", "date", "select"];
+
+// How many breaking records are listed in an error
+const MAX_REPORTED_VIOLATIONS = 50;
+
+// The constraints of a field, as they appear on a FieldInput
+const CONSTRAINT_KEYS = ["required", "unique", "defaultValue", "min", "max", "maxLength", "pattern"];
+
+// Constraints that only apply to some field types
+const RULE_TYPES = { min: ["number"], max: ["number"], maxLength: ["text"], pattern: ["text"] };
+
+/**
+ * Checks the constraints of every field of a database (in memory), drops the ones that
+ * don't apply to the field's type and normalizes the default values. Throws a
+ * UserInputError whose `constraintErrors` extension lists the invalid ones.
+ */
+export const prepareFieldConstraints = (database) => {
+  const constraintErrors = [];
+
+  for (const field of database.fields) {
+    const fail = (message) => constraintErrors.push({ field: field.name, message });
+    field.required = Boolean(field.required);
+    field.unique = Boolean(field.unique);
+
+    // Constraints that don't apply to the field's type are dropped, e.g. after a type change
+    const clear = (key) => {
+      field[key] = key === "required" || key === "unique" ? false : undefined;
+    };
+    if (COMPUTED_TYPES.includes(field.type)) {
+      CONSTRAINT_KEYS.forEach(clear);
+      continue;
+    }
+    for (const [key, types] of Object.entries(RULE_TYPES)) {
+      if (!types.includes(field.type)) clear(key);
+    }
+    if (!UNIQUE_TYPES.includes(field.type)) clear("unique");
+    if (field.type === "relation") clear("defaultValue");
+
+    if (field.min != null && field.max != null && field.min > field.max) {
+      fail("min cannot be greater than max.");
+    }
+    if (field.maxLength != null && (!Number.isInteger(field.maxLength) || field.maxLength < 1)) {
+      fail("maxLength must be a positive whole number.");
+    }
+    if (field.pattern != null) {
+      let regex;
+      try {
+        regex = compilePattern(field.pattern);
+      } catch {
+        fail(`"${field.pattern}" is not a valid regular expression.`);
+      }
+      if (field.pattern.length > MAX_PATTERN_LENGTH) {
+        fail(`pattern can be at most ${MAX_PATTERN_LENGTH} characters long.`);
+      } else if (regex === null) {
+        fail(`"${field.pattern}" could take too long to match. Avoid nested repetition such as (a+)+.`);
+      }
+    }
+
+    if (field.defaultValue != null) {
+      if (field.unique) {
+        fail("A unique field cannot have a default value.");
+      } else {
+        const { value, error } = checkFieldValue(field, field.defaultValue);
+        if (error) fail(`Invalid default value: ${error}`);
+        else field.defaultValue = value;
+      }
+    }
+  }
+
+  if (constraintErrors.length > 0) {
+    throw new UserInputError("One or more field constraints are invalid.", { constraintErrors });
+  }
+};
+
+// Live records that have no value for a field
+const findMissingValues = async (database, path) => {
+  const match = {
+    databaseId: database._id,
+    tenantId: database.tenantId,
+    isDeleted: false,
+    $or: [{ [path]: { $exists: false } }, { [path]: null }, { [path]: "" }, { [path]: { $size: 0 } }],
+  };
+  const [count, records] = await Promise.all([
+    Record.countDocuments(match),
+    Record.find(match).select("_id").limit(MAX_REPORTED_VIOLATIONS).lean(),
+  ]);
+  return {
+    count,
+    violations: records.map((record) => ({
+      recordId: record._id,
+      value: null,
+      message: "The record has no value for this field.",
+    })),
+  };
+};
+
+// Live records that share a value of a field with another record
+const findDuplicateValues = async (database, path) => {
+  const duplicates = await Record.aggregate([
+    {
+      $match: {
+        databaseId: database._id,
+        tenantId: database.tenantId,
+        isDeleted: false,
+        [path]: { $exists: true, $nin: [null, ""] },
+      },
+    },
+    { $group: { _id: `$${path}`, recordIds: { $push: "$_id" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1 } },
+  ]);
+
+  const violations = duplicates.flatMap(({ _id: value, recordIds }) =>
+    recordIds.map((recordId) => ({
+      recordId,
+      value,
+      message: `${recordIds.length} records have this value.`,
+    }))
+  );
+  return { count: violations.length, violations: violations.slice(0, MAX_REPORTED_VIOLATIONS) };
+};
+
+/**
+ * Checks the existing records when a field's `required` or `unique` constraint is turned on.
+ * `storedName` is the name the values are stored under (the old name of a renamed field),
+ * `previous` the field definition before the change (null for a new field).
+ *
+ * Throws a UserInputError listing the breaking records in its `constraintViolations`
+ * extension (at most 50, `violatingRecords` has the full count).
+ */
+export const assertConstraintsHold = async (database, field, { storedName = field.name, previous = null } = {}) => {
+  const path = `values.${storedName}`;
+  const checks = [];
+  if (field.required && !previous?.required) checks.push(["required", findMissingValues]);
+  if (field.unique && !previous?.unique) checks.push(["unique", findDuplicateValues]);
+
+  for (const [constraint, find] of checks) {
+    const { count, violations } = await find(database, path);
+    if (count > 0) {
+      throw new UserInputError(
+        `${count} existing record${count === 1 ? "" : "s"} break${count === 1 ? "s" : ""} the ${constraint} constraint of "${field.name}".`,
+        { constraintViolations: violations, violatingRecords: count }
+      );
+    }
+  }
+};
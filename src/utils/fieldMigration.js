@@ -0,0 +1,322 @@
+import { UserInputError } from "apollo-server-express";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Record from "../models/Record.js";
+import { renameFormulaReferences } from "./formula.js";
+import { assertValidFieldName } from "./recordValidation.js";
+
+/*
+ * Schema migrations.
+ *
+ * Record values are keyed by field name, so renaming a field, changing its type or deleting
+ * it has to rewrite the stored values of every record of the database (trashed ones
+ * included, so they are still valid when restored). The same functions run in dry-run mode
+ * to preview a change without writing anything.
+ */
+
+// Field types whose values are computed on read and never stored
+const COMPUTED_TYPES = ["formula", "rollup"];
+
+// Strings accepted when converting text to a boolean
+const TRUE_STRINGS = ["true", "yes", "y", "1", "checked"];
+const FALSE_STRINGS = ["false", "no", "n", "0", "unchecked"];
+
+// How many failed conversions are listed in a report
+const MAX_REPORTED_FAILURES = 50;
+
+// Records updated per bulk write
+const BATCH_SIZE = 500;
+
+const isRelationValue = (value) =>
+  Array.isArray(value) && value.some((item) => item && typeof item === "object" && !(item instanceof Date));
+
+const toText = (value) => {
+  if (typeof value === "string") return { value };
+  if (typeof value === "number" || typeof value === "boolean") return { value: String(value) };
+  if (value instanceof Date) return { value: value.toISOString() };
+  if (isRelationValue(value)) return { error: "Relation links cannot be converted to text." };
+  if (Array.isArray(value)) return { value: value.join(", ") };
+  return { error: "Value cannot be converted to text." };
+};
+
+const toNumber = (value) => {
+  if (typeof value === "number") return { value };
+  if (typeof value === "boolean") return { value: value ? 1 : 0 };
+  if (value instanceof Date) return { value: value.getTime() };
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value.trim());
+    if (Number.isFinite(number)) return { value: number };
+  }
+  return { error: `"${value}" is not a number.` };
+};
+
+const toDate = (value) => {
+  if (value instanceof Date) return { value };
+  if (typeof value === "string" || typeof value === "number") {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return { value: date };
+  }
+  return { error: `"${value}" is not a valid date.` };
+};
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return { value };
+  if (value === 0 || value === 1) return { value: value === 1 };
+  if (typeof value === "string") {
+    const text = value.trim().toLowerCase();
+    if (TRUE_STRINGS.includes(text)) return { value: true };
+    if (FALSE_STRINGS.includes(text)) return { value: false };
+  }
+  return { error: `"${value}" is not true or false.` };
+};
+
+const toSelect = (value, to) => {
+  let option = value;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return { value: null };
+    if (value.length > 1) return { error: "Several options cannot be converted to a single option." };
+    [option] = value;
+  }
+  if (typeof option === "number" || typeof option === "boolean") option = String(option);
+  if (typeof option !== "string") return { error: "Value cannot be converted to an option." };
+  if (!(to.options || []).includes(option)) {
+    return { error: `"${option}" is not one of the allowed options.` };
+  }
+  return { value: option };
+};
+
+const toMultiSelect = (value, from, to) => {
+  let options;
+  if (Array.isArray(value)) options = value;
+  else if (typeof value === "string") {
+    // Text is split on commas, a single select keeps its one option
+    options = from.type === "text" ? value.split(",").map((part) => part.trim()).filter(Boolean) : [value];
+  } else return { error: "Value cannot be converted to options." };
+
+  const invalid = options.filter((option) => !(to.options || []).includes(option));
+  if (invalid.length > 0) return { error: `Not allowed options: ${invalid.join(", ")}.` };
+  return { value: [...new Set(options)] };
+};
+
+const toRelation = (value, from, to) => {
+  if (from.type !== "relation") return { error: "Only relation values can be converted to a relation." };
+  if (from.relation?.toString() !== to.relation?.toString()) {
+    return { error: "The links point to records of another database." };
+  }
+  return { value };
+};
+
+/**
+ * Converts a stored value of the `from` field definition into a value of the `to` definition.
+ * Returns { value } (null means the field ends up empty) or { error } when it can't be converted.
+ */
+export const convertValue = (value, from, to) => {
+  switch (to.type) {
+    case "text":
+      return toText(value);
+    case "number":
+      return toNumber(value);
+    case "date":
+      return toDate(value);
+    case "boolean":
+      return toBoolean(value);
+    case "select":
+      return toSelect(value, to);
+    case "multi-select":
+      return toMultiSelect(value, from, to);
+    case "relation":
+      return toRelation(value, from, to);
+    default:
+      return { error: `Unsupported field type "${to.type}".` };
+  }
+};
+
+// A plain copy of the parts of a field definition that decide how its values are stored
+const describeField = (field) => ({
+  name: field.name,
+  type: field.type,
+  options: [...(field.options || [])],
+  relation: field.relation ? field.relation.toString() : null,
+});
+
+// Whether values stored for `before` may be invalid for `after` and have to be converted
+const needsConversion = (before, after) =>
+  before.type !== after.type ||
+  (["select", "multi-select"].includes(after.type) &&
+    before.options.some((option) => !after.options.includes(option))) ||
+  (after.type === "relation" && before.relation !== after.relation);
+
+// Rewrites the references to a renamed field inside its own database (in memory).
+// Returns the names of the formula and rollup fields that were changed.
+const renameLocalReferences = (database, oldName, newName) => {
+  const updated = [];
+  const relationsByName = new Map(
+    database.fields.filter((field) => field.type === "relation").map((field) => [field.name, field])
+  );
+
+  for (const field of database.fields) {
+    if (field.type === "formula" && field.formula) {
+      const formula = renameFormulaReferences(field.formula, oldName, newName);
+      if (formula !== field.formula) {
+        field.formula = formula;
+        updated.push(field.name);
+      }
+    }
+
+    if (field.type === "rollup" && field.rollup) {
+      let changed = false;
+      // A rollup over a self-relation can target the renamed field too
+      const relation = relationsByName.get(field.rollup.relationField);
+      if (field.rollup.targetField === oldName && relation?.relation?.toString() === database._id.toString()) {
+        field.rollup.targetField = newName;
+        changed = true;
+      }
+      if (field.rollup.relationField === oldName) {
+        field.rollup.relationField = newName;
+        changed = true;
+      }
+      if (changed) updated.push(field.name);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Applies a `FieldInput` to a field of a database in memory and returns what changed:
+ * the field definition before and after, and the fields of the same database whose
+ * formula or rollup references were renamed along. Nothing is saved.
+ */
+export const planFieldUpdate = (database, fieldId, input) => {
+  const field = database.fields.id(fieldId);
+  if (!field) {
+    throw new UserInputError("Field not found in this database.");
+  }
+  assertValidFieldName(input.name);
+
+  const otherFieldExists = database.fields.some(
+    (f) => f.name.toLowerCase() === input.name.toLowerCase() && f._id.toString() !== fieldId
+  );
+  if (otherFieldExists) {
+    throw new UserInputError(`Another field named "${input.name}" already exists in this database.`);
+  }
+
+  const before = describeField(field);
+  const updatedReferences =
+    before.name !== input.name ? renameLocalReferences(database, before.name, input.name) : [];
+
+  field.set(input);
+  return { before, after: describeField(field), updatedReferences };
+};
+
+/**
+ * Renames the target of rollups in other databases that aggregate the renamed field through
+ * a relation to `database`. Returns their names as "Database / Field".
+ */
+export const renameRollupTargets = async (database, oldName, newName, { dryRun = false } = {}) => {
+  const related = await DatabaseDefinition.find({
+    _id: { $ne: database._id },
+    tenantId: database.tenantId,
+    "fields.relation": database._id,
+  });
+  const updated = [];
+
+  for (const other of related) {
+    const relationNames = other.fields
+      .filter((field) => field.type === "relation" && field.relation?.toString() === database._id.toString())
+      .map((field) => field.name);
+
+    let changed = false;
+    for (const field of other.fields) {
+      if (
+        field.type === "rollup" &&
+        field.rollup?.targetField === oldName &&
+        relationNames.includes(field.rollup.relationField)
+      ) {
+        field.rollup.targetField = newName;
+        updated.push(`${other.name} / ${field.name}`);
+        changed = true;
+      }
+    }
+    if (changed && !dryRun) await other.save();
+  }
+
+  return updated;
+};
+
+/**
+ * Moves and converts the stored values of a field after its definition changed from
+ * `before` to `after` (pass null for `after` when the field is deleted).
+ *
+ * Values that can't be converted are cleared and listed in the report, values of deleted
+ * or now computed fields are removed. With `dryRun`, only the report is computed.
+ */
+export const migrateFieldValues = async (database, before, after, { dryRun = false } = {}) => {
+  const path = `values.${before.name}`;
+  const filter = {
+    databaseId: database._id,
+    tenantId: database.tenantId,
+    [path]: { $exists: true },
+  };
+
+  const report = {
+    affectedRecords: await Record.countDocuments(filter),
+    convertedValues: 0,
+    failedValues: 0,
+    clearedValues: 0,
+    failures: [],
+  };
+  if (report.affectedRecords === 0) return report;
+
+  // Deleted, or computed from now on: the stored values go away
+  if (!after || COMPUTED_TYPES.includes(after.type)) {
+    report.clearedValues = report.affectedRecords;
+    if (!dryRun) await Record.updateMany(filter, { $unset: { [path]: "" } });
+    return report;
+  }
+
+  const newPath = `values.${after.name}`;
+  const renamed = before.name !== after.name;
+
+  // Values stay valid, they only move when the field is renamed
+  if (COMPUTED_TYPES.includes(before.type) || !needsConversion(before, after)) {
+    if (COMPUTED_TYPES.includes(before.type)) {
+      report.clearedValues = report.affectedRecords;
+      if (!dryRun) await Record.updateMany(filter, { $unset: { [path]: "" } });
+    } else if (renamed && !dryRun) {
+      await Record.updateMany(filter, { $rename: { [path]: newPath } });
+    }
+    return report;
+  }
+
+  let operations = [];
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) await Record.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  const cursor = Record.find(filter).select(`_id ${path}`).lean().cursor();
+  for await (const record of cursor) {
+    const value = record.values[before.name];
+    const result = value === null ? { value: null } : convertValue(value, before, after);
+
+    let newValue = result.value ?? null;
+    if (result.error) {
+      report.failedValues += 1;
+      if (report.failures.length < MAX_REPORTED_FAILURES) {
+        report.failures.push({ recordId: record._id, value, message: result.error });
+      }
+      newValue = null;
+    } else if (JSON.stringify(newValue) !== JSON.stringify(value)) {
+      report.convertedValues += 1;
+    }
+
+    const update = newValue === null ? { $unset: { [path]: "" } } : { $set: { [newPath]: newValue } };
+    if (renamed && newValue !== null) update.$unset = { [path]: "" };
+    operations.push({ updateOne: { filter: { _id: record._id }, update } });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return report;
+};
@@ -0,0 +1,23 @@
+/**
+ * Formats a record to match the GraphQL `Record` shape.
+ * Works for both Mongoose documents (values is a Map) and the plain objects
+ * returned by `.aggregate()` (values is a plain object).
+ */
+export const formatRecord = (record) => {
+  const plain = typeof record.toObject === "function" ? record.toObject() : record;
+  const values =
+    plain.values instanceof Map
+      ? Array.from(plain.values.entries())
+      : Object.entries(plain.values || {});
+
+  return {
+    ...plain,
+    values: values.map(([field, value]) => ({ field, value })),
+  };
+};
+
+/**
+ * Reads the raw stored value of a field from a formatted record.
+ */
+export const getRecordValue = (record, fieldName) =>
+  record.values?.find((entry) => entry.field === fieldName)?.value;
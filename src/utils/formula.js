@@ -0,0 +1,658 @@
+import { UserInputError } from "apollo-server-express";
+
+/*
+ * Formula fields.
+ *
+ * A formula is a small expression language, e.g.
+ *   prop("Price") * prop("Qty")
+ *   if(prop("Done"), "✅", "")
+ *   dateBetween(prop("Due"), now(), "day")
+ *
+ * Formulas are parsed and type-checked when the schema is saved, and compiled into
+ * MongoDB aggregation expressions when records are read. Because the computed values
+ * are added inside the records pipeline, formula fields can be sorted, filtered and
+ * searched like stored fields.
+ */
+
+// The result type a stored field exposes to formulas
+const FIELD_TYPES = {
+  text: "text",
+  number: "number",
+  date: "date",
+  boolean: "boolean",
+  select: "text",
+  "multi-select": "list",
+  relation: "list",
+};
+
+const DATE_UNITS = ["minute", "hour", "day", "week", "month", "year"];
+
+// ------------------------------------------------------------
+// TOKENIZER & PARSER
+// ------------------------------------------------------------
+
+const TWO_CHAR_OPERATORS = ["==", "!=", ">=", "<=", "&&", "||"];
+const ONE_CHAR_OPERATORS = ["+", "-", "*", "/", "%", ">", "<", "!", "(", ")", ","];
+
+class FormulaError extends Error {}
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(source[i + 1]))) {
+      const match = source.slice(i).match(/^[0-9]*\.?[0-9]+/);
+      tokens.push({ kind: "number", value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = "";
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === "\\" && j + 1 < source.length) j += 1;
+        value += source[j];
+        j += 1;
+      }
+      if (j >= source.length) throw new FormulaError(`Unterminated string at position ${i}.`);
+      tokens.push({ kind: "string", value, position: i, end: j + 1 });
+      i = j + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ kind: "identifier", value: match[0], position: i });
+      i += match[0].length;
+    } else if (TWO_CHAR_OPERATORS.includes(source.slice(i, i + 2))) {
+      tokens.push({ kind: "operator", value: source.slice(i, i + 2), position: i });
+      i += 2;
+    } else if (ONE_CHAR_OPERATORS.includes(char)) {
+      tokens.push({ kind: "operator", value: char, position: i });
+      i += 1;
+    } else {
+      throw new FormulaError(`Unexpected character "${char}" at position ${i}.`);
+    }
+  }
+
+  tokens.push({ kind: "end", value: null, position: source.length });
+  return tokens;
+};
+
+// Word forms of the logical operators
+const KEYWORD_OPERATORS = { and: "&&", or: "||", not: "!" };
+
+/**
+ * Parses a formula expression into an AST. Throws a FormulaError on syntax errors.
+ */
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => {
+    const token = tokens[index];
+    if (token.kind === "identifier" && KEYWORD_OPERATORS[token.value]) {
+      return { ...token, kind: "operator", value: KEYWORD_OPERATORS[token.value] };
+    }
+    return token;
+  };
+  const next = () => {
+    const token = peek();
+    index += 1;
+    return token;
+  };
+  const accept = (...operators) => {
+    const token = peek();
+    if (token.kind === "operator" && operators.includes(token.value)) {
+      index += 1;
+      return token.value;
+    }
+    return null;
+  };
+  const expect = (operator) => {
+    if (!accept(operator)) {
+      const token = peek();
+      throw new FormulaError(
+        `Expected "${operator}" at position ${token.position}` +
+          (token.kind === "end" ? " but the formula ended." : ".")
+      );
+    }
+  };
+
+  const binaryLevel = (operators, parseOperand) => () => {
+    let left = parseOperand();
+    let operator;
+    while ((operator = accept(...operators))) {
+      left = { type: "binary", operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.kind === "number") return { type: "literal", valueType: "number", value: token.value };
+    if (token.kind === "string") return { type: "literal", valueType: "text", value: token.value };
+
+    if (token.kind === "operator" && token.value === "(") {
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+
+    if (token.kind === "identifier") {
+      if (token.value === "true" || token.value === "false") {
+        return { type: "literal", valueType: "boolean", value: token.value === "true" };
+      }
+      expect("(");
+      const args = [];
+      if (!accept(")")) {
+        do {
+          args.push(parseOr());
+        } while (accept(","));
+        expect(")");
+      }
+      return { type: "call", name: token.value, args, position: token.position };
+    }
+
+    throw new FormulaError(
+      token.kind === "end"
+        ? "The formula ended unexpectedly."
+        : `Unexpected "${token.value}" at position ${token.position}.`
+    );
+  };
+
+  const parseUnary = () => {
+    const operator = accept("-", "!");
+    if (operator) return { type: "unary", operator, argument: parseUnary() };
+    return parsePrimary();
+  };
+
+  const parseMultiplicative = binaryLevel(["*", "/", "%"], parseUnary);
+  const parseAdditive = binaryLevel(["+", "-"], parseMultiplicative);
+  const parseComparison = binaryLevel(["==", "!=", ">", ">=", "<", "<="], parseAdditive);
+  const parseAnd = binaryLevel(["&&"], parseComparison);
+  const parseOr = binaryLevel(["||"], parseAnd);
+
+  const ast = parseOr();
+  const rest = peek();
+  if (rest.kind !== "end") {
+    throw new FormulaError(`Unexpected "${rest.value}" at position ${rest.position}.`);
+  }
+  return ast;
+};
+
+// ------------------------------------------------------------
+// FUNCTIONS
+// ------------------------------------------------------------
+
+// Each function declares how to type-check its arguments and how to compile them.
+// `check(types, args)` returns the result type (or throws), `compile(compiled, args)` the expression.
+
+const expectTypes = (name, types, expected) => {
+  if (types.length !== expected.length) {
+    throw new FormulaError(`${name}() takes ${expected.length} argument(s), got ${types.length}.`);
+  }
+  types.forEach((type, i) => {
+    const allowed = [].concat(expected[i]);
+    if (!allowed.includes(type)) {
+      throw new FormulaError(
+        `Argument ${i + 1} of ${name}() must be ${allowed.join(" or ")}, got ${type}.`
+      );
+    }
+  });
+};
+
+const unitArgument = (name, arg) => {
+  if (arg.type !== "literal" || arg.valueType !== "text" || !DATE_UNITS.includes(arg.value)) {
+    throw new FormulaError(`The unit of ${name}() must be one of: ${DATE_UNITS.map((u) => `"${u}"`).join(", ")}.`);
+  }
+};
+
+const toText = (expression, type) => {
+  switch (type) {
+    case "text":
+      return expression;
+    case "date":
+      return { $dateToString: { date: expression, format: "%Y-%m-%d" } };
+    case "list":
+      return {
+        $reduce: {
+          input: { $ifNull: [expression, []] },
+          initialValue: "",
+          in: {
+            $concat: [
+              "$$value",
+              { $cond: [{ $eq: ["$$value", ""] }, "", ", "] },
+              { $toString: "$$this" },
+            ],
+          },
+        },
+      };
+    default:
+      return { $toString: expression };
+  }
+};
+
+const FUNCTIONS = {
+  if: {
+    check: (types) => {
+      expectTypes("if", types, ["boolean", types[1], types[1]]);
+      return types[1];
+    },
+    compile: ([condition, then, otherwise]) => ({ $cond: [condition, then, otherwise] }),
+  },
+  empty: {
+    check: (types) => {
+      expectTypes("empty", types, [["text", "number", "date", "boolean", "list"]]);
+      return "boolean";
+    },
+    compile: ([value], _, [type]) => {
+      if (type === "text") return { $in: [{ $ifNull: [value, ""] }, [""]] };
+      if (type === "list") return { $eq: [{ $size: { $ifNull: [value, []] } }, 0] };
+      return { $eq: [{ $ifNull: [value, null] }, null] };
+    },
+  },
+  concat: {
+    check: (types) => {
+      if (types.length === 0) throw new FormulaError("concat() needs at least one argument.");
+      expectTypes("concat", types, types.map(() => "text"));
+      return "text";
+    },
+    compile: (args) => ({ $concat: args.map((arg) => ({ $ifNull: [arg, ""] })) }),
+  },
+  format: {
+    check: (types) => {
+      expectTypes("format", types, [["text", "number", "date", "boolean", "list"]]);
+      return "text";
+    },
+    compile: ([value], _, [type]) => toText(value, type),
+  },
+  length: {
+    check: (types) => {
+      expectTypes("length", types, [["text", "list"]]);
+      return "number";
+    },
+    compile: ([value], _, [type]) =>
+      type === "list"
+        ? { $size: { $ifNull: [value, []] } }
+        : { $strLenCP: { $ifNull: [value, ""] } },
+  },
+  contains: {
+    check: (types) => {
+      expectTypes("contains", types, [["text", "list"], "text"]);
+      return "boolean";
+    },
+    compile: ([haystack, needle], _, [type]) =>
+      type === "list"
+        ? { $in: [needle, { $ifNull: [haystack, []] }] }
+        : { $gte: [{ $indexOfCP: [{ $ifNull: [haystack, ""] }, { $ifNull: [needle, ""] }] }, 0] },
+  },
+  lower: {
+    check: (types) => (expectTypes("lower", types, ["text"]), "text"),
+    compile: ([value]) => ({ $toLower: value }),
+  },
+  upper: {
+    check: (types) => (expectTypes("upper", types, ["text"]), "text"),
+    compile: ([value]) => ({ $toUpper: value }),
+  },
+  toNumber: {
+    check: (types) => (expectTypes("toNumber", types, [["text", "number", "boolean"]]), "number"),
+    compile: ([value]) => ({ $convert: { input: value, to: "double", onError: null, onNull: null } }),
+  },
+  round: {
+    check: (types) => {
+      expectTypes("round", types, types.length === 2 ? ["number", "number"] : ["number"]);
+      return "number";
+    },
+    compile: ([value, places]) => ({ $round: [value, places ?? 0] }),
+  },
+  abs: {
+    check: (types) => (expectTypes("abs", types, ["number"]), "number"),
+    compile: ([value]) => ({ $abs: value }),
+  },
+  floor: {
+    check: (types) => (expectTypes("floor", types, ["number"]), "number"),
+    compile: ([value]) => ({ $floor: value }),
+  },
+  ceil: {
+    check: (types) => (expectTypes("ceil", types, ["number"]), "number"),
+    compile: ([value]) => ({ $ceil: value }),
+  },
+  min: {
+    check: (types) => {
+      if (types.length === 0) throw new FormulaError("min() needs at least one argument.");
+      expectTypes("min", types, types.map(() => "number"));
+      return "number";
+    },
+    compile: (args) => ({ $min: args }),
+  },
+  max: {
+    check: (types) => {
+      if (types.length === 0) throw new FormulaError("max() needs at least one argument.");
+      expectTypes("max", types, types.map(() => "number"));
+      return "number";
+    },
+    compile: (args) => ({ $max: args }),
+  },
+  now: {
+    check: (types) => (expectTypes("now", types, []), "date"),
+    compile: () => "$$NOW",
+  },
+  dateAdd: {
+    check: (types, args) => {
+      expectTypes("dateAdd", types, ["date", "number", "text"]);
+      unitArgument("dateAdd", args[2]);
+      return "date";
+    },
+    compile: ([date, amount], args) => ({
+      $dateAdd: { startDate: date, unit: args[2].value, amount: { $trunc: [amount, 0] } },
+    }),
+  },
+  dateSubtract: {
+    check: (types, args) => {
+      expectTypes("dateSubtract", types, ["date", "number", "text"]);
+      unitArgument("dateSubtract", args[2]);
+      return "date";
+    },
+    compile: ([date, amount], args) => ({
+      $dateSubtract: { startDate: date, unit: args[2].value, amount: { $trunc: [amount, 0] } },
+    }),
+  },
+  dateBetween: {
+    check: (types, args) => {
+      expectTypes("dateBetween", types, ["date", "date", "text"]);
+      unitArgument("dateBetween", args[2]);
+      return "number";
+    },
+    // Positive when the first date is after the second, like Notion's dateBetween
+    compile: ([first, second], args) => ({
+      $dateDiff: { startDate: second, endDate: first, unit: args[2].value },
+    }),
+  },
+};
+
+// ------------------------------------------------------------
+// TYPE CHECKING & COMPILATION
+// ------------------------------------------------------------
+
+const checkBinary = (operator, left, right) => {
+  if (["&&", "||"].includes(operator)) {
+    if (left !== "boolean" || right !== "boolean") {
+      throw new FormulaError(`"${operator}" needs boolean operands, got ${left} and ${right}.`);
+    }
+    return "boolean";
+  }
+  if (["==", "!="].includes(operator)) {
+    if (left !== right) throw new FormulaError(`Cannot compare ${left} with ${right}.`);
+    return "boolean";
+  }
+  if ([">", ">=", "<", "<="].includes(operator)) {
+    if (left !== right || !["number", "text", "date"].includes(left)) {
+      throw new FormulaError(`Cannot compare ${left} with ${right} using "${operator}".`);
+    }
+    return "boolean";
+  }
+  if (operator === "+" && left === "text" && right === "text") return "text";
+  if (left !== "number" || right !== "number") {
+    throw new FormulaError(
+      `"${operator}" needs number operands, got ${left} and ${right}.` +
+        (operator === "+" ? " Use format() to turn values into text." : "")
+    );
+  }
+  return "number";
+};
+
+const BINARY_OPERATORS = {
+  "&&": "$and", "||": "$or",
+  "==": "$eq", "!=": "$ne", ">": "$gt", ">=": "$gte", "<": "$lt", "<=": "$lte",
+  "+": "$add", "-": "$subtract", "*": "$multiply",
+};
+
+const compileBinary = (operator, left, right, leftType) => {
+  if (operator === "+" && leftType === "text") {
+    return { $concat: [{ $ifNull: [left, ""] }, { $ifNull: [right, ""] }] };
+  }
+  // Division and modulo by zero would abort the whole query, so they yield an empty value instead
+  if (operator === "/" || operator === "%") {
+    return {
+      $cond: [
+        { $eq: [right, 0] },
+        null,
+        { [operator === "/" ? "$divide" : "$mod"]: [left, right] },
+      ],
+    };
+  }
+  return { [BINARY_OPERATORS[operator]]: [left, right] };
+};
+
+/**
+ * Parses and type-checks every formula field of a database.
+ *
+ * Resolves `prop()` references (including formulas referencing other formulas),
+ * rejects unknown fields and circular references, and returns a Map of
+ * field name -> { ast, resultType }. All problems are reported together in one
+ * UserInputError with a `formulaErrors` extension.
+ */
+export const analyzeFormulas = (fields) => {
+  const fieldsByName = new Map(fields.map((field) => [field.name, field]));
+  const analyzed = new Map();
+  const formulaErrors = [];
+  const visiting = [];
+
+  const analyzeField = (field) => {
+    if (analyzed.has(field.name)) return analyzed.get(field.name);
+
+    if (visiting.includes(field.name)) {
+      const cycle = [...visiting.slice(visiting.indexOf(field.name)), field.name];
+      throw new FormulaError(`Circular reference: ${cycle.join(" -> ")}.`);
+    }
+
+    if (!field.formula || !field.formula.trim()) {
+      throw new FormulaError(`Formula field "${field.name}" has no expression.`);
+    }
+
+    visiting.push(field.name);
+    try {
+      const ast = parse(field.formula);
+      const types = new WeakMap();
+
+      const check = (node) => {
+        let type;
+        if (node.type === "literal") {
+          type = node.valueType;
+        } else if (node.type === "unary") {
+          const argument = check(node.argument);
+          const expected = node.operator === "-" ? "number" : "boolean";
+          if (argument !== expected) {
+            throw new FormulaError(`"${node.operator}" needs a ${expected}, got ${argument}.`);
+          }
+          type = expected;
+        } else if (node.type === "binary") {
+          type = checkBinary(node.operator, check(node.left), check(node.right));
+        } else if (node.name === "prop") {
+          const [nameArg] = node.args;
+          if (node.args.length !== 1 || nameArg.type !== "literal" || nameArg.valueType !== "text") {
+            throw new FormulaError('prop() takes a single field name, e.g. prop("Price").');
+          }
+          const target = fieldsByName.get(nameArg.value);
+          if (!target) throw new FormulaError(`Unknown field "${nameArg.value}".`);
+          // Rollups are computed before formulas, so they are read like stored fields
+          if (target.type === "formula") type = analyzeField(target).resultType;
+          else if (target.type === "rollup") type = target.resultType;
+          else type = FIELD_TYPES[target.type];
+          if (!type) {
+            throw new FormulaError(`Fields of type "${target.type}" cannot be used in formulas.`);
+          }
+        } else {
+          const fn = FUNCTIONS[node.name];
+          if (!fn) throw new FormulaError(`Unknown function "${node.name}" at position ${node.position}.`);
+          type = fn.check(node.args.map(check), node.args);
+        }
+        types.set(node, type);
+        return type;
+      };
+
+      const resultType = check(ast);
+      const result = { ast, types, resultType };
+      analyzed.set(field.name, result);
+      return result;
+    } finally {
+      visiting.pop();
+    }
+  };
+
+  for (const field of fields) {
+    if (field.type !== "formula") continue;
+    try {
+      analyzeField(field);
+    } catch (error) {
+      if (!(error instanceof FormulaError)) throw error;
+      formulaErrors.push({ field: field.name, message: error.message });
+    }
+  }
+
+  if (formulaErrors.length > 0) {
+    throw new UserInputError("One or more formulas are invalid.", { formulaErrors });
+  }
+  return analyzed;
+};
+
+/**
+ * Whether a formula field reads a rollup, directly or through the formulas it reads.
+ * Formulas that don't parse count as not reading one; analyzeFormulas reports them.
+ */
+export const formulaReadsRollup = (fields, name) => {
+  const fieldsByName = new Map(fields.map((field) => [field.name, field]));
+  const visited = new Set();
+
+  const reads = (node) => {
+    if (node.type === "literal") return false;
+    if (node.type === "unary") return reads(node.argument);
+    if (node.type === "binary") return reads(node.left) || reads(node.right);
+    if (node.name === "prop") {
+      const target = fieldsByName.get(node.args[0]?.value);
+      if (!target || visited.has(target.name)) return false;
+      visited.add(target.name);
+      return target.type === "rollup" || (target.type === "formula" && readsField(target));
+    }
+    return node.args.some(reads);
+  };
+  const readsField = (field) => {
+    try {
+      return reads(parse(field.formula || ""));
+    } catch (error) {
+      if (error instanceof FormulaError) return false;
+      throw error;
+    }
+  };
+
+  visited.add(name);
+  return readsField(fieldsByName.get(name));
+};
+
+/**
+ * Rewrites every `prop("<oldName>")` reference of a formula to `prop("<newName>")`, leaving
+ * the rest of the expression untouched. Formulas that do not tokenize are returned as is.
+ */
+export const renameFormulaReferences = (source, oldName, newName) => {
+  let tokens;
+  try {
+    tokens = tokenize(source);
+  } catch (error) {
+    if (error instanceof FormulaError) return source;
+    throw error;
+  }
+
+  const quoted = `"${newName.replace(/["\\]/g, "\\$&")}"`;
+  let result = source;
+  // Replace from the end so earlier positions stay valid
+  for (let i = tokens.length - 1; i >= 2; i -= 1) {
+    const [name, paren, literal] = [tokens[i - 2], tokens[i - 1], tokens[i]];
+    if (
+      name.kind === "identifier" &&
+      name.value === "prop" &&
+      paren.value === "(" &&
+      literal.kind === "string" &&
+      literal.value === oldName
+    ) {
+      result = result.slice(0, literal.position) + quoted + result.slice(literal.end);
+    }
+  }
+  return result;
+};
+
+/**
+ * Validates the formula fields of a schema that is about to be saved and stores each
+ * formula's result type on its field. Non-formula fields lose any leftover expression.
+ * Must run after prepareRollupFields, since formulas can read rollup results.
+ */
+export const prepareFormulaFields = (fields) => {
+  for (const field of fields) {
+    if (field.type !== "formula") {
+      field.formula = undefined;
+      // Rollups keep the result type set by prepareRollupFields
+      if (field.type !== "rollup") field.resultType = undefined;
+    }
+  }
+
+  const analyzed = analyzeFormulas(fields);
+  for (const field of fields) {
+    if (field.type === "formula") field.resultType = analyzed.get(field.name).resultType;
+  }
+};
+
+/**
+ * Compiles every formula field of a database into an `$addFields` stage that writes
+ * the computed values into `values.<field name>`. Returns an empty list when the
+ * database has no formulas.
+ */
+export const buildFormulaStages = (database) => {
+  const formulaFields = database.fields.filter((field) => field.type === "formula");
+  if (formulaFields.length === 0) return [];
+
+  const analyzed = analyzeFormulas(database.fields);
+  const fieldsByName = new Map(database.fields.map((field) => [field.name, field]));
+  const compiledFields = new Map();
+
+  const compileField = (name) => {
+    if (!compiledFields.has(name)) {
+      const { ast, types } = analyzed.get(name);
+
+      const compile = (node) => {
+        if (node.type === "literal") return { $literal: node.value };
+        if (node.type === "unary") {
+          const argument = compile(node.argument);
+          return node.operator === "-" ? { $multiply: [-1, argument] } : { $not: [argument] };
+        }
+        if (node.type === "binary") {
+          return compileBinary(
+            node.operator,
+            compile(node.left),
+            compile(node.right),
+            types.get(node.left)
+          );
+        }
+        if (node.name === "prop") {
+          const target = fieldsByName.get(node.args[0].value);
+          // Formulas referencing formulas are inlined, there are no cycles after analysis
+          return target.type === "formula" ? compileField(target.name) : `$values.${target.name}`;
+        }
+        return FUNCTIONS[node.name].compile(
+          node.args.map(compile),
+          node.args,
+          node.args.map((arg) => types.get(arg))
+        );
+      };
+
+      compiledFields.set(name, compile(ast));
+    }
+    return compiledFields.get(name);
+  };
+
+  const computed = {};
+  for (const field of formulaFields) {
+    computed[`values.${field.name}`] = compileField(field.name);
+  }
+  return [{ $addFields: computed }];
+};
@@ -0,0 +1,217 @@
+import { UserInputError } from "apollo-server-express";
+import Record from "../models/Record.js";
+import { parseCsv } from "./csv.js";
+import { validateRecordValues } from "./recordValidation.js";
+import { recordCreationRevisions } from "./revisions.js";
+import { publishRecordChanged } from "./events.js";
+
+// Largest number of rows accepted in one import
+export const MAX_IMPORT_ROWS = 10000;
+
+// Field types whose values are computed on read and never stored
+const COMPUTED_TYPES = ["formula", "rollup"];
+
+const TRUE_STRINGS = ["true", "yes"];
+const FALSE_STRINGS = ["false", "no"];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Records inserted per batch
+const BATCH_SIZE = 500;
+
+const isEmpty = (value) =>
+  value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+
+/**
+ * Reads CSV (with a header row) or JSON (an array of objects) into a list of columns
+ * and a list of rows, each row an object of column -> raw value.
+ */
+export const readImportData = (format, data) => {
+  let columns;
+  let rows;
+
+  if (format === "CSV") {
+    let lines;
+    try {
+      lines = parseCsv(data);
+    } catch (error) {
+      throw new UserInputError(`Invalid CSV: ${error.message}`);
+    }
+    if (lines.length === 0) throw new UserInputError("The CSV has no header row.");
+
+    const [header, ...body] = lines;
+    columns = header.map((column) => column.trim());
+    const duplicates = columns.filter((column, index) => columns.indexOf(column) !== index);
+    if (duplicates.length > 0) {
+      throw new UserInputError(`Duplicate columns: ${[...new Set(duplicates)].join(", ")}.`);
+    }
+    rows = body.map((cells) => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ""])));
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new UserInputError(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed) || parsed.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+      throw new UserInputError("JSON imports must be an array of objects keyed by column.");
+    }
+    columns = [...new Set(parsed.flatMap((row) => Object.keys(row)))];
+    rows = parsed;
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new UserInputError(`An import can contain at most ${MAX_IMPORT_ROWS} rows.`);
+  }
+  return { columns, rows };
+};
+
+/**
+ * Infers the type of a new field from the raw values of its column: number, boolean or
+ * date when every non-empty value reads as one, text otherwise.
+ */
+export const inferFieldType = (values) => {
+  const present = values.filter((value) => !isEmpty(value));
+  if (present.length === 0) return "text";
+
+  const asText = (value) => (typeof value === "string" ? value.trim() : null);
+  if (present.every((value) => typeof value === "number" || Number.isFinite(Number(asText(value) ?? NaN)))) {
+    return "number";
+  }
+  if (
+    present.every(
+      (value) =>
+        typeof value === "boolean" ||
+        [...TRUE_STRINGS, ...FALSE_STRINGS].includes(asText(value)?.toLowerCase())
+    )
+  ) {
+    return "boolean";
+  }
+  if (present.every((value) => ISO_DATE.test(asText(value) ?? "") && !Number.isNaN(Date.parse(value)))) {
+    return "date";
+  }
+  return "text";
+};
+
+// Turns a raw cell into the value `validateRecordValues` expects for the field.
+// CSV cells are always text, JSON values are passed through unless they are text too.
+// Returns undefined for empty cells, which leave the field empty.
+const coerceImportValue = (raw, field) => {
+  if (isEmpty(raw)) return undefined;
+  if (typeof raw !== "string") return raw;
+
+  const text = raw.trim();
+  switch (field.type) {
+    case "number":
+      return Number.isFinite(Number(text)) ? Number(text) : raw;
+    case "boolean":
+      if (TRUE_STRINGS.includes(text.toLowerCase())) return true;
+      if (FALSE_STRINGS.includes(text.toLowerCase())) return false;
+      return raw;
+    case "multi-select":
+    case "relation":
+      return text.split(",").map((part) => part.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Decides which field each column is imported into.
+ *
+ * Columns map to the field of the same name (ignoring case, like field names are unique)
+ * unless `mapping` says otherwise; a mapping to null skips the column. Returns the
+ * column -> field name pairs and the field names that don't exist yet.
+ */
+export const resolveColumnMapping = (columns, mapping, database) => {
+  const explicit = new Map((mapping || []).map(({ column, field }) => [column, field ?? null]));
+  const unknownColumns = [...explicit.keys()].filter((column) => !columns.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new UserInputError(`The mapping names columns that are not in the data: ${unknownColumns.join(", ")}.`);
+  }
+
+  const fieldsByName = new Map(database.fields.map((field) => [field.name.toLowerCase(), field]));
+  const mapped = new Map();
+  const skippedColumns = [];
+  const missingFields = [];
+
+  for (const column of columns) {
+    const name = explicit.has(column) ? explicit.get(column) : column;
+    if (!name) {
+      skippedColumns.push(column);
+      continue;
+    }
+    if ([...mapped.values()].some((mappedName) => mappedName.toLowerCase() === name.toLowerCase())) {
+      throw new UserInputError(`More than one column is mapped to the field "${name}".`);
+    }
+
+    const field = fieldsByName.get(name.toLowerCase());
+    if (field && COMPUTED_TYPES.includes(field.type)) {
+      // Computed fields can't be written, e.g. a re-imported export
+      skippedColumns.push(column);
+      continue;
+    }
+    const fieldName = field ? field.name : name;
+    if (!field) missingFields.push(fieldName);
+    mapped.set(column, fieldName);
+  }
+
+  return { mapped, skippedColumns, missingFields };
+};
+
+/**
+ * Validates and inserts imported rows into a database whose schema already has every
+ * mapped field. Valid rows are imported, invalid ones are reported with their 1-based
+ * row number (the first row after a CSV header is row 1) and the reasons.
+ */
+export const insertImportedRows = async (database, rows, mapped, user) => {
+  const fieldsByName = new Map(database.fields.map((field) => [field.name, field]));
+  const errors = [];
+  let importedRows = 0;
+  let pending = [];
+
+  const flush = async () => {
+    if (pending.length === 0) return;
+    const inserted = await Record.insertMany(pending);
+    await recordCreationRevisions(inserted, user);
+    for (const record of inserted) {
+      await publishRecordChanged("CREATED", record, user);
+    }
+    importedRows += inserted.length;
+    pending = [];
+  };
+
+  // Unique values used by earlier rows of the file
+  const claimedValues = new Map();
+  for (const [index, row] of rows.entries()) {
+    const values = {};
+    for (const [column, fieldName] of mapped) {
+      const value = coerceImportValue(row[column], fieldsByName.get(fieldName));
+      if (value !== undefined) values[fieldName] = value;
+    }
+
+    try {
+      const validatedValues = await validateRecordValues(database, values, {
+        tenantId: user.tenantId,
+        isNew: true,
+        claimedValues,
+      });
+      pending.push({
+        databaseId: database._id,
+        tenantId: user.tenantId,
+        values: validatedValues,
+      });
+    } catch (error) {
+      if (!(error instanceof UserInputError)) throw error;
+      errors.push({
+        row: index + 1,
+        message: error.message,
+        fieldErrors: error.extensions?.fieldErrors || [],
+      });
+    }
+
+    if (pending.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { importedRows, errors };
+};
@@ -0,0 +1,62 @@
+/*
+ * Outgoing email.
+ *
+ * A transport is any object with:
+ *   send({ to, subject, text, html }) -> Promise<void>
+ *
+ * The default transport only logs that an email would be sent (without its body, which
+ * can hold secret tokens), so nothing is emailed until a real transport is installed
+ * with `setMailTransport`, e.g. one wrapping nodemailer or an email API:
+ *
+ *   setMailTransport({ send: (message) => transporter.sendMail({ from, ...message }) });
+ */
+
+export const createLogTransport = () => ({
+  send: async ({ to, subject }) => {
+    console.log(`[mail] No mail transport configured, not sending "${subject}" to ${to}.`);
+  },
+});
+
+let transport = createLogTransport();
+
+/**
+ * Replaces the mail transport used by the whole server.
+ */
+export const setMailTransport = (adapter) => {
+  transport = adapter;
+};
+
+/**
+ * Sends an email. Errors are logged, never thrown at the caller: a mail server being down
+ * must not reveal anything to the API client (e.g. whether an email address exists).
+ */
+export const sendMail = async (message) => {
+  try {
+    await transport.send(message);
+  } catch (error) {
+    console.error(`Failed to send "${message.subject}" to ${message.to}:`, error.message);
+  }
+};
+
+/**
+ * The password reset email. The link points at APP_URL when it is set.
+ */
+export const passwordResetEmail = (user, token, expiresAt) => {
+  const link = process.env.APP_URL
+    ? `${process.env.APP_URL.replace(/\/$/, "")}/reset-password?token=${encodeURIComponent(token)}`
+    : null;
+
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Someone asked to reset the password of your account. If that was you, use",
+      link ? `this link: ${link}` : `this token with the resetPassword mutation: ${token}`,
+      "",
+      `It expires at ${expiresAt.toISOString()}. If you didn't ask for it, ignore this email;`,
+      "your password stays the same.",
+    ].join("\n"),
+  };
+};
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+import { UserInputError } from "apollo-server-express";
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+// Reads a (possibly nested) path like "values.Price" from a plain document
+const readPath = (doc, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const isCursorValue = (value) =>
+  value === null ||
+  ["string", "number", "boolean"].includes(typeof value) ||
+  value instanceof Date ||
+  value instanceof ObjectId;
+
+/**
+ * Builds the `$sort` stage for a keyset-paginated query.
+ * `_id` is always added as a tiebreak so the order is total and cursors are stable.
+ */
+export const buildSortStage = (sortPath, direction) =>
+  sortPath === "_id"
+    ? { $sort: { _id: direction } }
+    : { $sort: { [sortPath]: direction, _id: direction } };
+
+/**
+ * Encodes the position of a document in a sorted list into an opaque cursor.
+ * The cursor remembers the sort path, so it can't be reused with a different sort.
+ */
+export const encodeCursor = (doc, sortPath) => {
+  const value = sortPath === "_id" ? null : readPath(doc, sortPath) ?? null;
+  return Buffer.from(EJSON.stringify({ s: sortPath, v: value, id: doc._id })).toString(
+    "base64url"
+  );
+};
+
+/**
+ * Decodes a cursor created by `encodeCursor` for the same sort path.
+ * Throws a UserInputError when the cursor is malformed or belongs to another sort.
+ */
+export const decodeCursor = (cursor, sortPath) => {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+  } catch (error) {
+    throw new UserInputError("Invalid cursor.");
+  }
+
+  if (!decoded || !(decoded.id instanceof ObjectId) || !isCursorValue(decoded.v ?? null)) {
+    throw new UserInputError("Invalid cursor.");
+  }
+  if (decoded.s !== sortPath) {
+    throw new UserInputError(
+      "This cursor was created with a different sort order. Start again without `after`."
+    );
+  }
+  return { value: decoded.v ?? null, id: decoded.id };
+};
+
+/**
+ * Builds the `$match` condition selecting documents after the cursor position.
+ *
+ * MongoDB sorts null/missing values before everything else, and comparison operators
+ * never match null, so the null cases are spelled out explicitly.
+ */
+export const buildCursorMatch = (sortPath, direction, { value, id }) => {
+  const idCompare = direction === 1 ? "$gt" : "$lt";
+  if (sortPath === "_id") return { _id: { [idCompare]: id } };
+
+  const tiebreak = { [sortPath]: { $eq: value }, _id: { [idCompare]: id } };
+
+  if (value === null) {
+    // Ascending: every non-null value comes after the nulls. Descending: nothing does.
+    return direction === 1
+      ? { $or: [tiebreak, { [sortPath]: { $ne: null } }] }
+      : tiebreak;
+  }
+
+  const valueCompare = { [sortPath]: { [idCompare]: value } };
+  return direction === 1
+    ? { $or: [valueCompare, tiebreak] }
+    : { $or: [valueCompare, tiebreak, { [sortPath]: { $eq: null } }] };
+};
+
+/**
+ * Normalizes the pagination arguments shared by all connection queries.
+ *
+ * `first`/`after` is the cursor based API. `limit`/`page` is still accepted while
+ * clients migrate: a page is translated into a skip and `after` is ignored.
+ */
+export const readPaginationArgs = ({ first, after, limit, page }, defaultSize) => {
+  const size = [first, limit].find((value) => value && value > 0) || defaultSize;
+  if (!after && page && page > 1) {
+    return { size, after: null, skip: (page - 1) * size, page };
+  }
+  return { size, after: after || null, skip: 0, page: null };
+};
+
+/**
+ * Turns one page of documents into a Relay-style connection.
+ * `docs` must contain up to `size + 1` documents; the extra one only signals `hasNextPage`.
+ */
+export const buildConnection = (docs, { size, after, page }, totalCount, sortPath, toNode) => {
+  const pageDocs = docs.slice(0, size);
+  const edges = pageDocs.map((doc) => ({
+    cursor: encodeCursor(doc, sortPath),
+    node: toNode(doc),
+  }));
+
+  return {
+    edges,
+    totalCount,
+    pageInfo: {
+      hasNextPage: docs.length > size,
+      hasPreviousPage: Boolean(after) || (page || 1) > 1,
+      startCursor: edges[0]?.cursor ?? null,
+      endCursor: edges[edges.length - 1]?.cursor ?? null,
+    },
+  };
+};
@@ -0,0 +1,67 @@
+import { ForbiddenError } from "apollo-server-express";
+
+/*
+ * Per-database access levels, from least to most privileged.
+ *
+ *   NONE         the database is hidden from the user
+ *   VIEW         read the database, its fields, records and views
+ *   COMMENT      like VIEW (reserved for commenting)
+ *   EDIT         also create, update and delete records and views
+ *   FULL_ACCESS  also change the database's fields
+ *
+ * Renaming, deleting and sharing a database stay Admin only, and also need FULL_ACCESS
+ * on it, so Admin API keys limited to other databases can't touch it.
+ */
+export const ACCESS_LEVELS = ["NONE", "VIEW", "COMMENT", "EDIT", "FULL_ACCESS"];
+
+// The level a tenant role grants on databases without an access list entry
+const ROLE_LEVELS = {
+  Admin: "FULL_ACCESS",
+  Editor: "EDIT",
+  Viewer: "VIEW",
+};
+
+/**
+ * Resolves a user's access level on a database.
+ *
+ * An API key limited to certain databases gets exactly its scoped level on them, and
+ * nothing on any other database, whatever its role.
+ * Tenant Admins always have full access, so nobody can lock a database away from them.
+ * Otherwise a per-user entry wins, then the database's default level, then the tenant role.
+ */
+export const getAccessLevel = (database, user) => {
+  const scopes = user.apiKey?.scopes;
+  if (scopes?.length > 0) {
+    const scope = scopes.find((entry) => entry.databaseId.toString() === database._id.toString());
+    return scope ? scope.level : "NONE";
+  }
+
+  if (user.role === "Admin") return "FULL_ACCESS";
+
+  // API keys are not members, only users have access list entries
+  const entry = user._id
+    ? database.access?.members?.find(
+        (member) => member.userId.toString() === user._id.toString()
+      )
+    : null;
+  if (entry) return entry.level;
+
+  return database.access?.defaultLevel || ROLE_LEVELS[user.role] || "NONE";
+};
+
+/**
+ * Whether the user has at least the `required` level on the database.
+ */
+export const hasAccess = (database, user, required) =>
+  ACCESS_LEVELS.indexOf(getAccessLevel(database, user)) >= ACCESS_LEVELS.indexOf(required);
+
+/**
+ * Throws a ForbiddenError unless the user has at least the `required` level on the database.
+ */
+export const assertAccess = (database, user, required, message) => {
+  if (!hasAccess(database, user, required)) {
+    throw new ForbiddenError(
+      message || "You don't have permission to perform this action on this database."
+    );
+  }
+};
@@ -0,0 +1,181 @@
+import { ApolloError } from "apollo-server-express";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Invitation from "../models/Invitation.js";
+import Record from "../models/Record.js";
+import Tenant from "../models/Tenant.js";
+import User from "../models/User.js";
+
+/*
+ * Plans.
+ *
+ * Every tenant is on a plan (`Tenant.plan`) that caps how much it can create. Limits are
+ * checked before databases, fields, records and members are added; data a tenant already
+ * has is never removed, so after a downgrade only new additions are refused.
+ */
+
+export const PLANS = ["Free", "Pro"];
+
+export const PLAN_LIMITS = {
+  Free: {
+    maxDatabases: 5,
+    maxRecordsPerDatabase: 1000,
+    maxFieldsPerDatabase: 20,
+    maxMembers: 3,
+    rateLimitMultiplier: 1, // the @rateLimit budgets of the schema
+    maxQueryDepth: 8,
+    maxQueryCost: 1000,
+    queryCostBudget: 20000, // per minute, see src/utils/queryCost.js
+  },
+  Pro: {
+    maxDatabases: 100,
+    maxRecordsPerDatabase: 100000,
+    maxFieldsPerDatabase: 200,
+    maxMembers: 100,
+    rateLimitMultiplier: 5,
+    maxQueryDepth: 12,
+    maxQueryCost: 5000,
+    queryCostBudget: 200000,
+  },
+};
+
+// Error code of PlanLimitError, for clients to offer an upgrade
+export const PLAN_LIMIT_EXCEEDED = "PLAN_LIMIT_EXCEEDED";
+
+/**
+ * Thrown when an action would take a tenant over one of its plan's limits.
+ * The `limit`, `plan`, `max` and `used` extensions describe which one.
+ */
+export class PlanLimitError extends ApolloError {
+  constructor(message, { limit, plan, max, used }) {
+    super(message, PLAN_LIMIT_EXCEEDED, { limit, plan, max, used });
+    Object.defineProperty(this, "name", { value: "PlanLimitError" });
+  }
+}
+
+/**
+ * The limits of a plan; unknown plans get the Free limits.
+ */
+export const getPlanLimits = (plan) => PLAN_LIMITS[plan] || PLAN_LIMITS.Free;
+
+const findPlan = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select("plan");
+  return PLAN_LIMITS[tenant?.plan] ? tenant.plan : "Free";
+};
+
+/**
+ * The plan of the request's tenant and its limits (`{ plan, ...limits }`), loaded once per
+ * request (for rate limiting and query costs).
+ */
+export const contextPlanLimits = (context) => {
+  if (!context.planLimits) {
+    context.planLimits = findPlan(context.user.tenantId).then((plan) => ({
+      plan,
+      ...getPlanLimits(plan),
+    }));
+  }
+  return context.planLimits;
+};
+
+// Throws a PlanLimitError when adding `adding` items to `used` goes over the plan's `limit`
+const assertWithin = (plan, limit, used, adding, describe) => {
+  const max = getPlanLimits(plan)[limit];
+  if (used + adding > max) {
+    throw new PlanLimitError(
+      `The ${plan} plan allows ${describe(max)}. Upgrade the plan to add more.`,
+      { limit, plan, max, used }
+    );
+  }
+};
+
+const countDatabases = (tenantId) =>
+  DatabaseDefinition.countDocuments({ tenantId, isDeleted: false });
+
+const countRecords = (database) =>
+  Record.countDocuments({
+    databaseId: database._id,
+    tenantId: database.tenantId,
+    isDeleted: false,
+  });
+
+/**
+ * Checks that the tenant can have `adding` more live databases.
+ */
+export const assertCanAddDatabases = async (tenantId, adding = 1) => {
+  const [plan, used] = await Promise.all([findPlan(tenantId), countDatabases(tenantId)]);
+  assertWithin(plan, "maxDatabases", used, adding, (max) => `${max} databases`);
+};
+
+/**
+ * Checks that `adding` more fields fit in a database (call it before adding them).
+ */
+export const assertCanAddFields = async (database, adding = 1) => {
+  const plan = await findPlan(database.tenantId);
+  assertWithin(
+    plan,
+    "maxFieldsPerDatabase",
+    database.fields.length,
+    adding,
+    (max) => `${max} fields per database`
+  );
+};
+
+/**
+ * Checks that the database can hold `adding` more live records.
+ */
+export const assertCanAddRecords = async (database, adding = 1) => {
+  const [plan, used] = await Promise.all([findPlan(database.tenantId), countRecords(database)]);
+  assertWithin(plan, "maxRecordsPerDatabase", used, adding, (max) => `${max} records per database`);
+};
+
+/**
+ * Checks that the tenant can have one more member. Pending invitations count as members
+ * when inviting, so a tenant can't invite more people than it can take in.
+ */
+export const assertCanAddMember = async (tenantId, { countInvitations = false } = {}) => {
+  const [plan, members, invitations] = await Promise.all([
+    findPlan(tenantId),
+    User.countDocuments({ tenantId }),
+    countInvitations
+      ? Invitation.countDocuments({
+          tenantId,
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+        })
+      : 0,
+  ]);
+  assertWithin(plan, "maxMembers", members + invitations, 1, (max) => `${max} members`);
+};
+
+/**
+ * The tenant's consumption against its plan limits. `databases` lists the live databases
+ * (pass only the ones the user may view) with their record and field counts.
+ */
+export const getUsage = async (tenantId, databases) => {
+  const [plan, databaseCount, members, recordCounts] = await Promise.all([
+    findPlan(tenantId),
+    countDatabases(tenantId),
+    User.countDocuments({ tenantId }),
+    Record.aggregate([
+      { $match: { tenantId, isDeleted: false, databaseId: { $in: databases.map((d) => d._id) } } },
+      { $group: { _id: "$databaseId", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const limits = getPlanLimits(plan);
+  const recordsById = new Map(recordCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+  return {
+    plan,
+    limits,
+    databases: { used: databaseCount, limit: limits.maxDatabases },
+    members: { used: members, limit: limits.maxMembers },
+    perDatabase: databases.map((database) => ({
+      database,
+      records: {
+        used: recordsById.get(database._id.toString()) || 0,
+        limit: limits.maxRecordsPerDatabase,
+      },
+      fields: { used: database.fields.length, limit: limits.maxFieldsPerDatabase },
+    })),
+  };
+};
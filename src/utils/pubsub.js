@@ -0,0 +1,126 @@
+import { EventEmitter } from "events";
+
+/*
+ * Pub/sub layer behind the GraphQL subscriptions.
+ *
+ * An adapter is any object with:
+ *   publish(topic, payload)        -> void | Promise<void>
+ *   subscribe(topic, onMessage)    -> unsubscribe function, or a Promise of one
+ *
+ * Payloads are plain JSON-serializable objects, so an adapter can send them to other
+ * processes. The in-memory adapter is used by default and is enough for a single node;
+ * with several nodes behind a load balancer, install a shared adapter (e.g. the Redis
+ * one below) with `setPubSub` before the server starts.
+ */
+
+// Events kept for a subscriber that reads slower than they are published
+const MAX_QUEUED_EVENTS = 1000;
+
+/**
+ * Delivers events to subscribers of the same process.
+ */
+export const createInMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: (topic, payload) => {
+      emitter.emit(topic, payload);
+    },
+    subscribe: (topic, onMessage) => {
+      emitter.on(topic, onMessage);
+      return () => emitter.off(topic, onMessage);
+    },
+  };
+};
+
+/**
+ * Delivers events through Redis channels, for several nodes.
+ * Takes two connected node-redis (v4+) clients: a subscribing client can't publish.
+ */
+export const createRedisPubSub = ({ publisher, subscriber }) => ({
+  publish: (topic, payload) => publisher.publish(topic, JSON.stringify(payload)),
+  subscribe: async (topic, onMessage) => {
+    const listener = (message) => onMessage(JSON.parse(message));
+    await subscriber.subscribe(topic, listener);
+    return () => subscriber.unsubscribe(topic, listener);
+  },
+});
+
+let pubsub = createInMemoryPubSub();
+
+/**
+ * Replaces the pub/sub adapter used by the whole server.
+ */
+export const setPubSub = (adapter) => {
+  pubsub = adapter;
+};
+
+/**
+ * Publishes an event. Delivery problems are logged, never thrown at the caller:
+ * a failed notification must not fail the mutation that caused it.
+ */
+export const publish = async (topic, payload) => {
+  try {
+    await pubsub.publish(topic, payload);
+  } catch (error) {
+    console.error(`Failed to publish to ${topic}:`, error.message);
+  }
+};
+
+/**
+ * Subscribes to a topic as an async iterator, the shape GraphQL subscriptions expect.
+ * Events for which the optional async `filter` returns false are skipped.
+ * The adapter subscription is released when the client unsubscribes.
+ */
+export const subscribe = (topic, filter) => {
+  const queue = [];
+  const waiting = [];
+  let done = false;
+  let unsubscribe = null;
+
+  const finish = () => {
+    done = true;
+    if (unsubscribe) unsubscribe();
+    queue.length = 0;
+    waiting.splice(0).forEach((resolve) => resolve(null));
+  };
+
+  const ready = Promise.resolve(
+    pubsub.subscribe(topic, (payload) => {
+      if (done) return;
+      if (waiting.length > 0) {
+        waiting.shift()(payload);
+      } else {
+        queue.push(payload);
+        if (queue.length > MAX_QUEUED_EVENTS) queue.shift();
+      }
+    })
+  ).then((release) => {
+    unsubscribe = release;
+    if (done) release();
+  });
+
+  return {
+    async next() {
+      await ready;
+      while (!done) {
+        const payload = queue.length > 0 ? queue.shift() : await new Promise((resolve) => waiting.push(resolve));
+        if (done || payload === null) break;
+        if (!filter || (await filter(payload))) return { value: payload, done: false };
+      }
+      return { value: undefined, done: true };
+    },
+    async return() {
+      finish();
+      return { value: undefined, done: true };
+    },
+    async throw(error) {
+      finish();
+      throw error;
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
@@ -0,0 +1,237 @@
+import { ApolloError, UserInputError } from "apollo-server-express";
+import {
+  Kind,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  isCompositeType,
+  isListType,
+} from "graphql";
+import { getDirective } from "@graphql-tools/utils";
+import { contextPlanLimits, getPlanLimits } from "./plans.js";
+import { identifyContext, rateLimitStore } from "./rateLimitStore.js";
+
+/*
+ * Query depth and cost limits.
+ *
+ * Before an operation runs, its depth (levels of nested fields) and cost are computed from
+ * the document. The cost of a field is its own cost plus the cost of its selections times
+ * its multiplier, both configured with the `@cost` directive of the schema:
+ *   - own cost: `value`, by default 1 for fields returning objects and 0 for scalars;
+ *   - multiplier: the largest value (or list length) of its `multipliers` arguments
+ *     (`first` and `limit` by default), else `listSize` (20 for lists, otherwise 1).
+ * Every item of a list or paginated field costs at least 1, so a long list of scalars
+ * isn't free, and sizes above 1000 are refused.
+ *
+ * An operation deeper or costlier than the plan allows is refused, and every accepted
+ * operation is charged against the tenant's cost budget for the current minute.
+ * Introspection fields are free.
+ */
+
+export const QUERY_TOO_COMPLEX = "QUERY_TOO_COMPLEX";
+export const QUERY_COST_BUDGET_EXCEEDED = "QUERY_COST_BUDGET_EXCEEDED";
+
+// The cost budgets are per minute
+export const QUERY_COST_WINDOW_MS = 60 * 1000;
+
+const DEFAULT_MULTIPLIERS = ["first", "limit"];
+const DEFAULT_LIST_SIZE = 20;
+
+// Largest `first`/`limit` (or other multiplier) a query may ask for
+export const MAX_LIST_SIZE = 1000;
+
+// The store key of a tenant's spent cost, kept as [timestamp, cost, timestamp, cost, ...]
+const costIdentity = (contextIdentity) => ({ contextIdentity, fieldIdentity: "query-cost" });
+
+// The multiplier of a field's selections in a query, and whether the field returns a list
+// of items (each costing at least 1)
+const fieldMultiplier = (field, fieldNode, costConfig, variables) => {
+  const names = (costConfig.multipliers ?? DEFAULT_MULTIPLIERS).filter((name) =>
+    field.args.some((arg) => arg.name === name)
+  );
+
+  let args = {};
+  try {
+    args = getArgumentValues(field, fieldNode, variables);
+  } catch {
+    // Invalid arguments fail in execution; count them as absent here
+  }
+  const sizes = [];
+  for (const name of names) {
+    const size = Array.isArray(args[name]) ? args[name].length : args[name];
+    if (!Number.isInteger(size) || size < 0) continue;
+    if (size > MAX_LIST_SIZE) {
+      throw new UserInputError(
+        `\`${name}\` of \`${field.name}\` can be at most ${MAX_LIST_SIZE}.`
+      );
+    }
+    sizes.push(size);
+  }
+
+  const isList = names.length > 0 || isListType(getNullableType(field.type));
+  if (sizes.length > 0) return { size: Math.max(...sizes), isList };
+  if (costConfig.listSize != null) return { size: costConfig.listSize, isList };
+  return { size: isList ? DEFAULT_LIST_SIZE : 1, isList };
+};
+
+// Cost and depth of a selection set whose fields are `depth` levels deep
+const analyzeSelections = (schema, parentType, selectionSet, fragments, variables, depth) => {
+  let cost = 0;
+  let maxDepth = depth - 1;
+
+  for (const selection of selectionSet.selections) {
+    let inner = null;
+
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith("__")) continue;
+      const field = parentType.getFields?.()[selection.name.value];
+      if (!field) continue;
+
+      const costConfig = getDirective(schema, field, "cost")?.[0] || {};
+      const ownCost = costConfig.value ?? (isCompositeType(getNamedType(field.type)) ? 1 : 0);
+      const selections = selection.selectionSet
+        ? analyzeSelections(schema, getNamedType(field.type), selection.selectionSet, fragments, variables, depth + 1)
+        : { cost: 0, depth };
+      const { size, isList } = fieldMultiplier(field, selection, costConfig, variables);
+      cost += ownCost + size * (isList ? Math.max(selections.cost, 1) : selections.cost);
+      maxDepth = Math.max(maxDepth, selections.depth);
+      continue;
+    }
+
+    // Fragments add their fields at the same level; fragments on different types of an
+    // interface or union are all counted
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition
+        ? schema.getType(selection.typeCondition.name.value)
+        : parentType;
+      inner = analyzeSelections(schema, type, selection.selectionSet, fragments, variables, depth);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = fragments[selection.name.value];
+      if (!fragment) continue;
+      const type = schema.getType(fragment.typeCondition.name.value);
+      inner = analyzeSelections(schema, type, fragment.selectionSet, fragments, variables, depth);
+    }
+    if (inner) {
+      cost += inner.cost;
+      maxDepth = Math.max(maxDepth, inner.depth);
+    }
+  }
+
+  return { cost, depth: maxDepth };
+};
+
+/**
+ * The cost and depth of an operation of a (validated) document, with its variables.
+ */
+export const analyzeOperation = (schema, document, operation, variables = {}) => {
+  const fragments = Object.fromEntries(
+    document.definitions
+      .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((fragment) => [fragment.name.value, fragment])
+  );
+  return analyzeSelections(
+    schema,
+    schema.getRootType(operation.operation),
+    operation.selectionSet,
+    fragments,
+    variables || {},
+    1
+  );
+};
+
+// The [timestamp, cost] pairs of the current window
+const spentInWindow = async (contextIdentity) => {
+  const stored = await rateLimitStore.getForIdentity(costIdentity(contextIdentity));
+  const since = Date.now() - QUERY_COST_WINDOW_MS;
+  const pairs = [];
+  for (let i = 0; i + 1 < stored.length; i += 2) {
+    if (stored[i] > since) pairs.push(stored[i], stored[i + 1]);
+  }
+  return pairs;
+};
+
+const sumCosts = (pairs) => pairs.reduce((sum, value, i) => (i % 2 ? sum + value : sum), 0);
+
+/**
+ * The query cost a tenant (or anonymous client) spent in the current window.
+ */
+export const queryCostSpent = async (contextIdentity) =>
+  sumCosts(await spentInWindow(contextIdentity));
+
+/**
+ * Checks an operation against the depth and cost limits of the plan and charges its cost
+ * to the budget. Throws an ApolloError (`QUERY_TOO_COMPLEX` or `QUERY_COST_BUDGET_EXCEEDED`)
+ * reporting the computed cost when it is refused; refused operations aren't charged.
+ */
+export const chargeQueryCost = async (contextIdentity, { cost, depth }, limits) => {
+  const { plan, maxQueryDepth, maxQueryCost, queryCostBudget } = limits;
+  if (depth > maxQueryDepth || cost > maxQueryCost) {
+    throw new ApolloError(
+      depth > maxQueryDepth
+        ? `This query is ${depth} levels deep; the ${plan} plan allows ${maxQueryDepth}.`
+        : `This query costs ${cost}; the ${plan} plan allows ${maxQueryCost} per query.`,
+      QUERY_TOO_COMPLEX,
+      { cost, maxCost: maxQueryCost, depth, maxDepth: maxQueryDepth }
+    );
+  }
+
+  const pairs = await spentInWindow(contextIdentity);
+  const spent = sumCosts(pairs);
+  if (spent + cost > queryCostBudget) {
+    // The budget frees up as the oldest charges leave the window
+    const retryAfterSeconds = Math.ceil(
+      (pairs[0] + QUERY_COST_WINDOW_MS - Date.now()) / 1000
+    );
+    throw new ApolloError(
+      `This query costs ${cost}, but only ${Math.max(queryCostBudget - spent, 0)} of the ${plan} plan's budget of ${queryCostBudget} per minute is left.`,
+      QUERY_COST_BUDGET_EXCEEDED,
+      { cost, budget: queryCostBudget, spent, retryAfterSeconds }
+    );
+  }
+
+  await rateLimitStore.setForIdentity(
+    costIdentity(contextIdentity),
+    [...pairs, Date.now(), cost],
+    QUERY_COST_WINDOW_MS
+  );
+};
+
+/**
+ * Analyzes an operation and charges it with the plan of the request's tenant (the Free
+ * plan for anonymous requests). Returns `{ cost, depth }`; throws like `chargeQueryCost`.
+ */
+export const checkOperationCost = async (schema, document, operation, variables, context) => {
+  const analysis = analyzeOperation(schema, document, operation, variables);
+  const limits = context.user
+    ? await contextPlanLimits(context)
+    : { plan: "Free", ...getPlanLimits("Free") };
+
+  await chargeQueryCost(identifyContext(context), analysis, limits);
+  return analysis;
+};
+
+/**
+ * Apollo Server plugin applying the limits to every query and mutation over HTTP
+ * (subscriptions are checked in the WebSocket server's `onSubscribe`). The cost of
+ * accepted operations is returned in the `cost` extension of the response.
+ */
+export const queryCostPlugin = {
+  async requestDidStart() {
+    return {
+      async didResolveOperation({ schema, document, operation, request, context }) {
+        context.queryCost = await checkOperationCost(
+          schema,
+          document,
+          operation,
+          request.variables,
+          context
+        );
+      },
+
+      async willSendResponse({ response, context }) {
+        if (!context.queryCost) return;
+        response.extensions = { ...response.extensions, cost: context.queryCost };
+      },
+    };
+  },
+};
@@ -0,0 +1,41 @@
+import { InMemoryStore } from "graphql-rate-limit";
+
+/*
+ * Rate-limit counters.
+ *
+ * The `@rateLimit` call counts and the query cost budgets are kept in a store of
+ * graphql-rate-limit's `Store` shape:
+ *   getForIdentity({ contextIdentity, fieldIdentity }) -> number[] (or a Promise of it)
+ *   setForIdentity({ contextIdentity, fieldIdentity }, numbers, windowMs) -> void (or a Promise)
+ *
+ * By default the counters live in the memory of this process, so they reset on restart
+ * and aren't shared between server instances. Install a shared store with
+ * `setRateLimitStore`, e.g. the package's Redis store:
+ *
+ *   setRateLimitStore(new RedisStore(redis.createClient(process.env.REDIS_URL)));
+ */
+
+let store = new InMemoryStore();
+
+/**
+ * Whose counters a request counts against: its tenant, or its IP address when anonymous.
+ */
+export const identifyContext = (context) =>
+  context.user ? context.user.tenantId.toString() : context.req.ip;
+
+/**
+ * Replaces the store of the rate-limit counters used by the whole server.
+ */
+export const setRateLimitStore = (adapter) => {
+  store = adapter;
+};
+
+/**
+ * Passes every call through to the store installed at the time of the call, so the
+ * limiters created at startup follow `setRateLimitStore`.
+ */
+export const rateLimitStore = {
+  getForIdentity: (identity) => store.getForIdentity(identity),
+  setForIdentity: (identity, numbers, windowMs) =>
+    store.setForIdentity(identity, numbers, windowMs),
+};
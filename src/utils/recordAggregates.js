@@ -0,0 +1,200 @@
+import { UserInputError } from "apollo-server-express";
+
+/*
+ * Group-by and aggregate queries (Kanban column counts, chart series).
+ *
+ * The stages built here are appended to the shared records pipeline, so tenant and
+ * soft-delete scoping, computed fields, search and filters work exactly like in `records`.
+ */
+
+// The value type of a field as seen by aggregates (computed fields use their result type)
+const valueTypeOf = (field) =>
+  field.type === "formula" || field.type === "rollup" ? field.resultType : field.type;
+
+const GROUPABLE_TYPES = ["select", "multi-select", "boolean", "date"];
+const DATE_BUCKETS = { DAY: "day", WEEK: "week", MONTH: "month" };
+
+// Which value types each metric accepts; COUNT accepts any field (or none)
+const METRIC_TYPES = {
+  SUM: ["number"],
+  AVERAGE: ["number"],
+  MIN: ["number", "date"],
+  MAX: ["number", "date"],
+};
+
+const findField = (database, name) => {
+  const field = database.fields.find((f) => f.name === name);
+  if (!field) throw new UserInputError(`Unknown field "${name}".`);
+  return field;
+};
+
+// Resolves and checks the groupBy input. Returns null when records are not grouped.
+const resolveGroupBy = (database, groupBy) => {
+  if (!groupBy) return null;
+
+  const field = findField(database, groupBy.field);
+  const type = valueTypeOf(field);
+  if (!GROUPABLE_TYPES.includes(type)) {
+    throw new UserInputError(
+      `Cannot group by "${field.name}": only select, multi-select, boolean and date fields can be grouped.`
+    );
+  }
+  if (type === "date" && !groupBy.dateBucket) {
+    throw new UserInputError(`Grouping by the date field "${field.name}" needs a dateBucket.`);
+  }
+  if (type !== "date" && groupBy.dateBucket) {
+    throw new UserInputError("dateBucket only applies to date fields.");
+  }
+  return { field, type, bucket: groupBy.dateBucket ? DATE_BUCKETS[groupBy.dateBucket] : null };
+};
+
+// Resolves and checks the metrics. Without metrics, only counts are returned.
+const resolveMetrics = (database, metrics) =>
+  (metrics || []).map((metric) => {
+    if (!metric.field) {
+      if (metric.function !== "COUNT") {
+        throw new UserInputError(`${metric.function} needs a field.`);
+      }
+      return { ...metric, field: null };
+    }
+
+    const field = findField(database, metric.field);
+    const allowed = METRIC_TYPES[metric.function];
+    if (allowed && !allowed.includes(valueTypeOf(field))) {
+      throw new UserInputError(
+        `${metric.function} needs a ${allowed.join(" or ")} field, "${field.name}" is ${valueTypeOf(field)}.`
+      );
+    }
+    return { ...metric, field };
+  });
+
+// The $group accumulator computing one metric
+const accumulatorFor = ({ function: fn, field }) => {
+  if (!field) return { $sum: 1 };
+  const value = `$values.${field.name}`;
+  switch (fn) {
+    case "COUNT":
+      // Records where the field has a value
+      return { $sum: { $cond: [{ $eq: [{ $ifNull: [value, null] }, null] }, 0, 1] } };
+    case "SUM":
+      return { $sum: value };
+    case "AVERAGE":
+      return { $avg: value };
+    case "MIN":
+      return { $min: value };
+    default:
+      return { $max: value };
+  }
+};
+
+// The expression giving a record's group key
+const groupKeyExpression = ({ field, type, bucket }) => {
+  const value = `$values.${field.name}`;
+  if (type === "date") {
+    return {
+      $cond: [
+        { $eq: [{ $type: value }, "date"] },
+        { $dateTrunc: { date: value, unit: bucket, startOfWeek: "monday" } },
+        null,
+      ],
+    };
+  }
+  // An unchecked checkbox is usually just never set
+  if (type === "boolean") return { $ifNull: [value, false] };
+  return { $ifNull: [value, null] };
+};
+
+/**
+ * Builds the stages computing the groups and the overall totals as one `$facet` with
+ * `groups` and `totals`. Records with several multi-select options count in each group.
+ */
+export const buildAggregateStages = (database, { groupBy, metrics }) => {
+  const group = resolveGroupBy(database, groupBy);
+  const resolvedMetrics = resolveMetrics(database, metrics);
+
+  const accumulators = { count: { $sum: 1 } };
+  resolvedMetrics.forEach((metric, index) => {
+    accumulators[`m${index}`] = accumulatorFor(metric);
+  });
+
+  const groupStages = [];
+  if (group?.type === "multi-select") {
+    groupStages.push({
+      $unwind: { path: `$values.${group.field.name}`, preserveNullAndEmptyArrays: true },
+    });
+  }
+  groupStages.push({
+    $group: { _id: group ? groupKeyExpression(group) : null, ...accumulators },
+  });
+
+  return {
+    group,
+    metrics: resolvedMetrics,
+    stages: [
+      {
+        $facet: {
+          groups: groupStages,
+          totals: [{ $group: { _id: null, ...accumulators } }],
+        },
+      },
+    ],
+  };
+};
+
+// Turns a $group result into the GraphQL RecordGroup shape
+const toRecordGroup = (result, key, metrics) => ({
+  key,
+  label: key === null ? null : key instanceof Date ? key.toISOString() : String(key),
+  count: result?.count ?? 0,
+  metrics: metrics.map((metric, index) => {
+    // Empty groups count and sum to 0; averages, minimums and maximums have no value
+    const empty = metric.function === "COUNT" || metric.function === "SUM" ? 0 : null;
+    return {
+      function: metric.function,
+      field: metric.field?.name ?? null,
+      value: result ? result[`m${index}`] ?? null : empty,
+    };
+  }),
+});
+
+/**
+ * Shapes the `$facet` result into `{ groups, totals }`.
+ *
+ * Select and multi-select groups follow the order of the field's options and include
+ * options without records, so every Kanban column shows up. Boolean groups are false
+ * then true, date buckets are in chronological order. The group of records without a
+ * value (key null) comes last.
+ */
+export const shapeAggregates = ({ group, metrics }, [facet]) => {
+  const totals = toRecordGroup(facet.totals[0], null, metrics);
+  if (!group) return { groups: [totals], totals };
+
+  const results = new Map(
+    facet.groups.map((result) => [
+      result._id instanceof Date ? result._id.toISOString() : JSON.stringify(result._id),
+      result,
+    ])
+  );
+  const take = (key) => {
+    const lookup = key instanceof Date ? key.toISOString() : JSON.stringify(key);
+    const result = results.get(lookup);
+    results.delete(lookup);
+    return toRecordGroup(result, key, metrics);
+  };
+
+  const groups = [];
+  if (group.type === "select" || group.type === "multi-select") {
+    for (const option of group.field.options || []) groups.push(take(option));
+  } else if (group.type === "boolean") {
+    groups.push(take(false), take(true));
+  }
+
+  // Anything left: date buckets, and values no longer among the options
+  const rest = [...results.values()]
+    .filter((result) => result._id !== null)
+    .sort((a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0));
+  for (const result of rest) groups.push(take(result._id));
+  if (results.has("null")) groups.push(take(null));
+
+  return { groups, totals };
+};
@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import { UserInputError } from "apollo-server-express";
+
+// The only MongoDB operators a compiled filter is allowed to contain.
+// Anything else (e.g. $where, $expr, $function) means the compiler has a bug and the query is refused.
+const ALLOWED_OPERATORS = new Set([
+  "$and", "$or", "$nor",
+  "$eq", "$ne", "$gt", "$gte", "$lt", "$lte",
+  "$in", "$nin", "$all", "$regex", "$options",
+]);
+
+// Which operator block of a condition belongs to which field type
+const OPERATOR_BLOCKS = {
+  text: "text",
+  number: "number",
+  date: "date",
+  boolean: "boolean",
+  select: "select",
+  "multi-select": "multiSelect",
+  relation: "relation",
+};
+
+// Computed fields (formulas, rollups) are filtered with the operators of the type they evaluate to
+const COMPUTED_OPERATOR_BLOCKS = {
+  text: "text",
+  number: "number",
+  date: "date",
+  boolean: "boolean",
+};
+
+const operatorBlockFor = (field) =>
+  field.type === "formula" || field.type === "rollup"
+    ? COMPUTED_OPERATOR_BLOCKS[field.resultType]
+    : OPERATOR_BLOCKS[field.type];
+
+const UNIT_IN_MS = {
+  MINUTE: 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  WEEK: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Escapes every character that has a special meaning inside a regular expression,
+ * so user input can be safely embedded in a `$regex`.
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Moves a date by `amount` units, month and year steps follow the calendar
+const shiftDate = (date, amount, unit) => {
+  const shifted = new Date(date);
+  if (unit === "MONTH") shifted.setMonth(shifted.getMonth() + amount);
+  else if (unit === "YEAR") shifted.setFullYear(shifted.getFullYear() + amount);
+  else shifted.setTime(shifted.getTime() + amount * UNIT_IN_MS[unit]);
+  return shifted;
+};
+
+const emptyCondition = (path, isEmpty, emptyValues) =>
+  isEmpty ? { [path]: { $in: emptyValues } } : { [path]: { $nin: emptyValues } };
+
+// Each compiler receives the field path and the operator block, and returns a list of
+// $match conditions (ANDed together). `fail` records a problem without stopping compilation.
+
+const compileText = (path, ops) => {
+  const conditions = [];
+  if (ops.equals != null) conditions.push({ [path]: { $eq: ops.equals } });
+  if (ops.notEquals != null) conditions.push({ [path]: { $ne: ops.notEquals } });
+  if (ops.contains != null) {
+    conditions.push({ [path]: { $regex: escapeRegex(ops.contains), $options: "i" } });
+  }
+  if (ops.startsWith != null) {
+    conditions.push({ [path]: { $regex: `^${escapeRegex(ops.startsWith)}`, $options: "i" } });
+  }
+  if (ops.endsWith != null) {
+    conditions.push({ [path]: { $regex: `${escapeRegex(ops.endsWith)}$`, $options: "i" } });
+  }
+  if (ops.isEmpty != null) conditions.push(emptyCondition(path, ops.isEmpty, [null, ""]));
+  return conditions;
+};
+
+const compileNumber = (path, ops, fail) => {
+  const conditions = [];
+  if (ops.equals != null) conditions.push({ [path]: { $eq: ops.equals } });
+  if (ops.notEquals != null) conditions.push({ [path]: { $ne: ops.notEquals } });
+  if (ops.gt != null) conditions.push({ [path]: { $gt: ops.gt } });
+  if (ops.gte != null) conditions.push({ [path]: { $gte: ops.gte } });
+  if (ops.lt != null) conditions.push({ [path]: { $lt: ops.lt } });
+  if (ops.lte != null) conditions.push({ [path]: { $lte: ops.lte } });
+  if (ops.between) {
+    const { from, to } = ops.between;
+    if (from > to) fail("`between.from` must not be greater than `between.to`.");
+    conditions.push({ [path]: { $gte: from, $lte: to } });
+  }
+  if (ops.isEmpty != null) conditions.push(emptyCondition(path, ops.isEmpty, [null]));
+  return conditions;
+};
+
+const compileDate = (path, ops, fail) => {
+  const parse = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      fail(`\`${name}\` is not a valid date: "${value}".`);
+      return null;
+    }
+    return date;
+  };
+
+  const conditions = [];
+  if (ops.equals != null) {
+    // A date "equals" another when it falls on the same (UTC) day
+    const day = parse(ops.equals, "equals");
+    if (day) {
+      day.setUTCHours(0, 0, 0, 0);
+      conditions.push({ [path]: { $gte: day, $lt: shiftDate(day, 1, "DAY") } });
+    }
+  }
+  if (ops.before != null) {
+    const date = parse(ops.before, "before");
+    if (date) conditions.push({ [path]: { $lt: date } });
+  }
+  if (ops.after != null) {
+    const date = parse(ops.after, "after");
+    if (date) conditions.push({ [path]: { $gt: date } });
+  }
+  if (ops.between) {
+    const from = parse(ops.between.from, "between.from");
+    const to = parse(ops.between.to, "between.to");
+    if (from && to) {
+      if (from > to) fail("`between.from` must not be after `between.to`.");
+      conditions.push({ [path]: { $gte: from, $lte: to } });
+    }
+  }
+  if (ops.past) {
+    if (ops.past.amount <= 0) fail("`past.amount` must be a positive number.");
+    const now = new Date();
+    conditions.push({ [path]: { $gte: shiftDate(now, -ops.past.amount, ops.past.unit), $lte: now } });
+  }
+  if (ops.next) {
+    if (ops.next.amount <= 0) fail("`next.amount` must be a positive number.");
+    const now = new Date();
+    conditions.push({ [path]: { $gte: now, $lte: shiftDate(now, ops.next.amount, ops.next.unit) } });
+  }
+  if (ops.isEmpty != null) conditions.push(emptyCondition(path, ops.isEmpty, [null]));
+  return conditions;
+};
+
+const compileBoolean = (path, ops) => {
+  const conditions = [];
+  if (ops.equals != null) {
+    // An unchecked box is stored as false or not stored at all
+    conditions.push(ops.equals ? { [path]: { $eq: true } } : { [path]: { $ne: true } });
+  }
+  return conditions;
+};
+
+const checkOptions = (field, values, fail) => {
+  const unknown = values.filter((value) => !(field.options || []).includes(value));
+  if (unknown.length > 0) {
+    fail(`Unknown options: ${unknown.join(", ")}.`);
+  }
+};
+
+const compileSelect = (path, ops, fail, field) => {
+  const conditions = [];
+  if (ops.is != null) {
+    checkOptions(field, [ops.is], fail);
+    conditions.push({ [path]: { $eq: ops.is } });
+  }
+  if (ops.isNot != null) {
+    checkOptions(field, [ops.isNot], fail);
+    conditions.push({ [path]: { $ne: ops.isNot } });
+  }
+  if (ops.isAnyOf) {
+    checkOptions(field, ops.isAnyOf, fail);
+    conditions.push({ [path]: { $in: ops.isAnyOf } });
+  }
+  if (ops.isNoneOf) {
+    checkOptions(field, ops.isNoneOf, fail);
+    conditions.push({ [path]: { $nin: ops.isNoneOf } });
+  }
+  if (ops.isEmpty != null) conditions.push(emptyCondition(path, ops.isEmpty, [null, ""]));
+  return conditions;
+};
+
+const compileMultiSelect = (path, ops, fail, field) => {
+  const conditions = [];
+  // Matching an array field against a scalar matches any element, so `is` means "has this option"
+  if (ops.is != null) {
+    checkOptions(field, [ops.is], fail);
+    conditions.push({ [path]: { $eq: ops.is } });
+  }
+  if (ops.isNot != null) {
+    checkOptions(field, [ops.isNot], fail);
+    conditions.push({ [path]: { $ne: ops.isNot } });
+  }
+  if (ops.isAnyOf) {
+    checkOptions(field, ops.isAnyOf, fail);
+    conditions.push({ [path]: { $in: ops.isAnyOf } });
+  }
+  if (ops.containsAll) {
+    checkOptions(field, ops.containsAll, fail);
+    conditions.push({ [path]: { $all: ops.containsAll } });
+  }
+  if (ops.isEmpty != null) conditions.push(emptyCondition(path, ops.isEmpty, [null, []]));
+  return conditions;
+};
+
+const compileRelation = (path, ops, fail) => {
+  const toObjectId = (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      fail(`"${id}" is not a valid record ID.`);
+      return null;
+    }
+    return new mongoose.Types.ObjectId(id);
+  };
+
+  const conditions = [];
+  if (ops.contains != null) {
+    const id = toObjectId(ops.contains);
+    if (id) conditions.push({ [path]: { $eq: id } });
+  }
+  if (ops.containsAnyOf) {
+    const ids = ops.containsAnyOf.map(toObjectId).filter(Boolean);
+    conditions.push({ [path]: { $in: ids } });
+  }
+  if (ops.isEmpty != null) conditions.push(emptyCondition(path, ops.isEmpty, [null, []]));
+  return conditions;
+};
+
+const COMPILERS = {
+  text: compileText,
+  number: compileNumber,
+  date: compileDate,
+  boolean: compileBoolean,
+  select: compileSelect,
+  multiSelect: compileMultiSelect,
+  relation: compileRelation,
+};
+
+const combine = (conditions) => {
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+};
+
+// Walks a compiled query and makes sure it only uses whitelisted operators
+const assertWhitelisted = (query) => {
+  if (Array.isArray(query)) {
+    query.forEach(assertWhitelisted);
+    return;
+  }
+  if (!query || typeof query !== "object" || query instanceof Date) return;
+  if (query instanceof mongoose.Types.ObjectId) return;
+
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith("$") && !ALLOWED_OPERATORS.has(key)) {
+      throw new Error(`Compiled filter contains a forbidden operator: ${key}`);
+    }
+    assertWhitelisted(value);
+  }
+};
+
+/**
+ * Compiles a `RecordFilterInput` into a `$match` condition for the records pipeline.
+ *
+ * Every condition is checked against the database's field definitions: the field must exist
+ * and the operator block must match the field type. All problems are reported together in a
+ * single UserInputError with a `filterErrors` extension.
+ *
+ * `options.fieldPath` lets callers point a field at a different document path
+ * (defaults to `values.<field name>`).
+ */
+export const buildRecordFilter = (filter, database, options = {}) => {
+  const fieldPath = options.fieldPath || ((field) => `values.${field.name}`);
+  const fieldsByName = new Map(database.fields.map((field) => [field.name, field]));
+  const filterErrors = [];
+
+  const compileNode = (node, location) => {
+    const conditions = [];
+
+    if (node.and) {
+      node.and.forEach((child, index) => {
+        conditions.push(compileNode(child, `${location}.and[${index}]`));
+      });
+    }
+
+    if (node.or) {
+      const branches = node.or.map((child, index) =>
+        compileNode(child, `${location}.or[${index}]`)
+      );
+      if (branches.length > 0) conditions.push({ $or: branches });
+    }
+
+    if (node.not) {
+      conditions.push({ $nor: [compileNode(node.not, `${location}.not`)] });
+    }
+
+    const blocks = Object.values(OPERATOR_BLOCKS).filter((block) => node[block]);
+
+    if (node.field != null || blocks.length > 0) {
+      const fail = (message) =>
+        filterErrors.push({ path: location, field: node.field ?? null, message });
+      const field = fieldsByName.get(node.field);
+
+      if (node.field == null) {
+        fail("A condition needs a `field`.");
+      } else if (!field) {
+        fail(`Unknown field "${node.field}".`);
+      } else if (blocks.length !== 1) {
+        fail("A condition needs exactly one operator block.");
+      } else if (!operatorBlockFor(field)) {
+        fail(`Fields of type ${field.resultType || field.type} cannot be filtered.`);
+      } else if (blocks[0] !== operatorBlockFor(field)) {
+        fail(
+          `\`${blocks[0]}\` operators cannot be used on a ${field.type} field, use \`${operatorBlockFor(field)}\`.`
+        );
+      } else {
+        const compiled = COMPILERS[blocks[0]](fieldPath(field), node[blocks[0]], fail, field);
+        if (compiled.length === 0) fail("The operator block is empty.");
+        conditions.push(...compiled);
+      }
+    }
+
+    return combine(conditions);
+  };
+
+  const query = compileNode(filter, "filter");
+
+  if (filterErrors.length > 0) {
+    throw new UserInputError("The filter is invalid.", { filterErrors });
+  }
+
+  assertWhitelisted(query);
+  return query;
+};
@@ -0,0 +1,324 @@
+import mongoose from "mongoose";
+import { UserInputError } from "apollo-server-express";
+import safeRegex from "safe-regex2";
+import Record from "../models/Record.js";
+
+// Field types whose values are computed on read and never stored
+const COMPUTED_TYPES = ["formula", "rollup"];
+
+// Checks a single value against its field definition.
+// Returns { value } with the normalized value to store, or { error } explaining why it was rejected.
+// Relation values are only shape-checked here, their existence is checked in bulk afterwards.
+const checkValue = (field, value) => {
+  switch (field.type) {
+    case "text":
+      if (typeof value !== "string") return { error: "Expected a string." };
+      return { value };
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: "Expected a number." };
+      }
+      return { value };
+
+    case "date": {
+      if (typeof value !== "string" && typeof value !== "number") {
+        return { error: "Expected a date string or timestamp." };
+      }
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `"${value}" is not a valid date.` };
+      }
+      // Dates are always stored as real Date objects so they sort and compare correctly.
+      return { value: date };
+    }
+
+    case "boolean":
+      if (typeof value !== "boolean") return { error: "Expected true or false." };
+      return { value };
+
+    case "select":
+      if (typeof value !== "string") return { error: "Expected a single option." };
+      if (!(field.options || []).includes(value)) {
+        return { error: `"${value}" is not one of the allowed options.` };
+      }
+      return { value };
+
+    case "multi-select": {
+      if (!Array.isArray(value)) return { error: "Expected an array of options." };
+      const invalid = value.filter(
+        (option) => typeof option !== "string" || !(field.options || []).includes(option)
+      );
+      if (invalid.length > 0) {
+        return { error: `Not allowed options: ${invalid.join(", ")}.` };
+      }
+      return { value: [...new Set(value)] };
+    }
+
+    case "relation": {
+      if (!field.relation) {
+        return { error: "This relation field has no target database." };
+      }
+      // A single ID is accepted as a shorthand for a one-item list.
+      const ids = Array.isArray(value) ? value : [value];
+      const invalid = ids.filter(
+        (id) => typeof id !== "string" || !mongoose.Types.ObjectId.isValid(id)
+      );
+      if (invalid.length > 0) {
+        return { error: "Expected a record ID or an array of record IDs." };
+      }
+      return {
+        value: [...new Set(ids)].map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
+
+    default:
+      return { error: `Unsupported field type "${field.type}".` };
+  }
+};
+
+// Longest regular expression accepted as a field pattern
+export const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Compiles a field pattern. Returns null for patterns too long or liable to backtrack
+ * catastrophically (nested repetition such as `(a+)+`), which could stall the server on
+ * a crafted value; throws a SyntaxError for invalid ones.
+ */
+export const compilePattern = (pattern) => {
+  const regex = new RegExp(pattern, "u");
+  return pattern.length <= MAX_PATTERN_LENGTH && safeRegex(pattern) ? regex : null;
+};
+
+// Checks a valid value against the rules configured on its field (number range, text
+// length and pattern). Returns an error message, or null when the value passes.
+const checkRules = (field, value) => {
+  if (field.type === "number") {
+    if (field.min != null && value < field.min) return `Must be at least ${field.min}.`;
+    if (field.max != null && value > field.max) return `Must be at most ${field.max}.`;
+  }
+  if (field.type === "text") {
+    if (field.maxLength != null && value.length > field.maxLength) {
+      return `Must be at most ${field.maxLength} characters long.`;
+    }
+    if (field.pattern) {
+      // Patterns saved before they were checked for safety aren't run
+      const regex = compilePattern(field.pattern);
+      if (!regex) return "The field's pattern is unsafe to run. Change the pattern to write this field.";
+      if (!regex.test(value)) return `Must match the pattern ${field.pattern}.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Throws a UserInputError unless `name` can name a field. Record values are stored in a
+ * map keyed by field name, and map keys can't be empty, contain "." or start with "$".
+ */
+export const assertValidFieldName = (name) => {
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new UserInputError("Field name cannot be empty.");
+  }
+  if (name.includes(".") || name.startsWith("$")) {
+    throw new UserInputError(
+      `"${name}" can't be used as a field name: field names can't contain "." or start with "$".`
+    );
+  }
+};
+
+/**
+ * Checks a single non-null value against its field definition and the field's rules.
+ * Returns { value } with the normalized value to store, or { error } explaining why it
+ * was rejected.
+ */
+export const checkFieldValue = (field, rawValue) => {
+  const { value, error } = checkValue(field, rawValue);
+  if (error) return { error };
+  const ruleError = checkRules(field, value);
+  return ruleError ? { error: ruleError } : { value };
+};
+
+// Whether a stored value counts as empty for a required field
+export const isEmptyValue = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Key of a value in the set of unique values claimed by a batch
+const uniqueKey = (value) =>
+  value instanceof Date ? `date:${value.getTime()}` : `${typeof value}:${value}`;
+
+/**
+ * Checks the values of unique fields against the other live records of the database.
+ * `recordIds` are the records being written, which never conflict with themselves.
+ * Returns a list of `{ field, message }` errors.
+ */
+export const checkUniqueValues = async (database, values, { tenantId, recordIds = [] }) => {
+  const fieldErrors = [];
+
+  for (const field of database.fields) {
+    if (!field.unique) continue;
+    const value = values.get(field.name);
+    if (isEmptyValue(value)) continue;
+
+    const conflict = await Record.exists({
+      databaseId: database._id,
+      tenantId,
+      isDeleted: false,
+      _id: { $nin: recordIds },
+      [`values.${field.name}`]: value,
+    });
+    if (conflict) {
+      fieldErrors.push({
+        field: field.name,
+        message: "Another record already has this value.",
+      });
+    }
+  }
+
+  return fieldErrors;
+};
+
+/**
+ * Validates client supplied record values against a database's field definitions.
+ *
+ * Every key must match a field name and every value must match that field's type and
+ * rules. A `null` value is allowed and means "clear this field", except for required fields.
+ *
+ * Options:
+ * - `isNew`: the values are for a new record, so missing fields get their default value
+ *   and required fields must be present.
+ * - `recordIds`: the records being updated, excluded from the unique checks.
+ * - `claimedValues`: a Map shared by the records of one batch (bulk create, import), so
+ *   they can't repeat a unique value between themselves either.
+ *
+ * Returns a Map of field name -> normalized value ready to be stored.
+ * Throws a single UserInputError whose `fieldErrors` extension lists every rejected field.
+ */
+export const validateRecordValues = async (
+  database,
+  values,
+  { tenantId, isNew = false, recordIds = [], claimedValues = null }
+) => {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new UserInputError("Record values must be an object keyed by field name.");
+  }
+
+  const fieldsByName = new Map(database.fields.map((field) => [field.name, field]));
+  const fieldErrors = [];
+  const validatedValues = new Map();
+
+  for (const [fieldName, rawValue] of Object.entries(values)) {
+    const field = fieldsByName.get(fieldName);
+
+    if (!field) {
+      fieldErrors.push({ field: fieldName, message: "Unknown field." });
+      continue;
+    }
+
+    if (COMPUTED_TYPES.includes(field.type)) {
+      fieldErrors.push({
+        field: fieldName,
+        message: "This field is computed and cannot be written.",
+      });
+      continue;
+    }
+
+    if (rawValue === null) {
+      validatedValues.set(fieldName, null);
+      continue;
+    }
+
+    const { value, error } = checkFieldValue(field, rawValue);
+    if (error) {
+      fieldErrors.push({ field: fieldName, message: error });
+    } else {
+      validatedValues.set(fieldName, value);
+    }
+  }
+
+  for (const field of database.fields) {
+    if (COMPUTED_TYPES.includes(field.type)) continue;
+
+    // Fields left out of a new record start with their default value
+    if (isNew && !(field.name in values) && field.defaultValue != null) {
+      const { defaultValue } = field;
+      validatedValues.set(
+        field.name,
+        field.type === "date"
+          ? new Date(defaultValue)
+          : Array.isArray(defaultValue)
+            ? [...defaultValue]
+            : defaultValue
+      );
+    }
+
+    const provided = isNew || validatedValues.has(field.name);
+    if (
+      field.required &&
+      provided &&
+      isEmptyValue(validatedValues.get(field.name)) &&
+      !fieldErrors.some((fieldError) => fieldError.field === field.name)
+    ) {
+      fieldErrors.push({ field: field.name, message: "This field is required." });
+    }
+  }
+
+  fieldErrors.push(...(await checkUniqueValues(database, validatedValues, { tenantId, recordIds })));
+
+  // Unique values repeated inside the same batch
+  if (claimedValues) {
+    for (const field of database.fields) {
+      const value = validatedValues.get(field.name);
+      if (!field.unique || isEmptyValue(value)) continue;
+      if (!claimedValues.has(field.name)) claimedValues.set(field.name, new Set());
+      const claimed = claimedValues.get(field.name);
+      if (claimed.has(uniqueKey(value))) {
+        fieldErrors.push({
+          field: field.name,
+          message: "Another record of this batch already has this value.",
+        });
+      }
+    }
+  }
+
+  //Relation targets must be live records of the related database inside the same tenant
+  for (const field of database.fields) {
+    if (field.type !== "relation") continue;
+    const ids = validatedValues.get(field.name);
+    if (!ids || ids.length === 0) continue;
+
+    const existing = await Record.find({
+      _id: { $in: ids },
+      databaseId: field.relation,
+      tenantId,
+      isDeleted: false,
+    }).select("_id");
+
+    if (existing.length !== ids.length) {
+      const found = new Set(existing.map((record) => record._id.toString()));
+      const missing = ids.filter((id) => !found.has(id.toString()));
+      fieldErrors.push({
+        field: field.name,
+        message: `Related records not found: ${missing.join(", ")}.`,
+      });
+    }
+  }
+
+  if (fieldErrors.length > 0) {
+    throw new UserInputError("One or more record values are invalid.", {
+      fieldErrors,
+    });
+  }
+
+  // Only a valid record claims its unique values
+  if (claimedValues) {
+    for (const field of database.fields) {
+      const value = validatedValues.get(field.name);
+      if (field.unique && !isEmptyValue(value)) claimedValues.get(field.name).add(uniqueKey(value));
+    }
+  }
+
+  return validatedValues;
+};
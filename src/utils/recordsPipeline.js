@@ -0,0 +1,112 @@
+import { UserInputError } from "apollo-server-express";
+import Record from "../models/Record.js";
+import { buildRecordFilter, escapeRegex } from "./recordFilter.js";
+import { buildFormulaStages } from "./formula.js";
+import { buildRollupStages } from "./rollup.js";
+
+/**
+ * Builds the stages that add computed field values (rollups, then formulas) into `values`.
+ * They run right after the base match so search, filter and sort can use them.
+ * Rollups over databases the `user` can't view stay empty.
+ */
+export const buildComputedFieldStages = async (database, user) => [
+  ...(await buildRollupStages(database, user)),
+  ...buildFormulaStages(database),
+];
+
+/**
+ * Re-reads the given records of a database with their computed values filled in.
+ * Returns plain objects in the same order; records of databases without computed
+ * fields are returned unchanged. Computed for the reading `user`, see buildComputedFieldStages.
+ */
+export const withComputedValues = async (database, records, user) => {
+  const stages = database ? await buildComputedFieldStages(database, user) : [];
+  if (stages.length === 0 || records.length === 0) return records;
+
+  const computed = await Record.aggregate([
+    { $match: { _id: { $in: records.map((record) => record._id) } } },
+    ...stages,
+  ]);
+  const byId = new Map(computed.map((record) => [record._id.toString(), record]));
+  return records.map((record) => byId.get(record._id.toString()) || record);
+};
+
+/**
+ * Builds the shared part of every records aggregation: tenant and soft-delete scoping,
+ * keyword search and the typed filter. Sorting and pagination are added by the caller.
+ * Computed values are those the `user` may read.
+ */
+export const buildRecordsPipeline = async (database, { filter, search }, tenantId, user) => {
+  const pipeline = [];
+
+  //Match documents securely. This is our base filter.
+  pipeline.push({
+    $match: {
+      databaseId: database._id,
+      tenantId,
+      isDeleted: false,
+    },
+  });
+
+  // Computed values (rollups, formulas) are added first so everything below can use them
+  pipeline.push(...(await buildComputedFieldStages(database, user)));
+
+  //Keyword Search (if provided)
+  if (search) {
+    // Identify which fields are text-based, including formulas that produce text.
+    const textFields = database.fields
+      .filter(
+        (field) =>
+          field.type === "text" ||
+          (field.type === "formula" && field.resultType === "text")
+      )
+      .map((field) => field.name);
+
+    if (textFields.length > 0) {
+      // Create an $or condition to search across all text fields.
+      // The term is matched literally, never as a user supplied regular expression.
+      const searchOrConditions = textFields.map((fieldName) => ({
+        [`values.${fieldName}`]: { $regex: escapeRegex(search), $options: "i" },
+      }));
+
+      pipeline.push({ $match: { $or: searchOrConditions } });
+    }
+  }
+
+  //Compile the user's typed filter into a safe $match stage, if it exists.
+  if (filter) {
+    pipeline.push({ $match: buildRecordFilter(filter, database) });
+  }
+
+  return pipeline;
+};
+
+/**
+ * Whether records can be sorted by a field. Fields holding lists (multi-selects,
+ * relations, SHOW_UNIQUE rollups) have no single value to order by or to page after.
+ */
+export const isSortableField = (field) =>
+  !["multi-select", "relation"].includes(field.type) && field.resultType !== "list";
+
+/**
+ * Resolves a `SortInput` into the document path and direction to sort by.
+ * Without a sort, records come back in creation order (by `_id`).
+ */
+export const resolveRecordSort = (sort, database) => {
+  if (!sort) return { path: "_id", direction: 1 };
+
+  const field = database.fields.find((f) => f.name === sort.field);
+  if (!field) {
+    throw new UserInputError(`Cannot sort by unknown field "${sort.field}".`);
+  }
+  if (!isSortableField(field)) {
+    throw new UserInputError(
+      `Cannot sort by "${field.name}": it holds a list of values. Sort by another field.`
+    );
+  }
+
+  return {
+    path: `values.${field.name}`,
+    direction: sort.order.toLowerCase() === "desc" ? -1 : 1,
+  };
+};
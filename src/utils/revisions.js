@@ -0,0 +1,205 @@
+import RecordRevision from "../models/RecordRevision.js";
+import Record from "../models/Record.js";
+import Tenant from "../models/Tenant.js";
+import { UserInputError } from "apollo-server-express";
+import { checkFieldValue, validateRecordValues } from "./recordValidation.js";
+
+// Field types whose values are computed on read and never stored
+const COMPUTED_TYPES = ["formula", "rollup"];
+
+// Revisions kept per record when the tenant has no limit of its own
+const DEFAULT_REVISION_LIMIT = 100;
+
+/**
+ * Copies a record's stored values (a Mongoose Map or a plain object) into a plain object,
+ * the shape revisions keep them in.
+ */
+export const snapshotValues = (values) => {
+  if (!values) return {};
+  const entries = values instanceof Map ? values.entries() : Object.entries(values);
+  return Object.fromEntries(
+    Array.from(entries, ([field, value]) => [field, Array.isArray(value) ? [...value] : value])
+  );
+};
+
+/**
+ * Writes a revision for a record change and prunes the record's oldest revisions beyond
+ * the tenant's retention limit. `before` / `after` are value snapshots (null when the
+ * record did not exist before, or stopped existing after).
+ */
+export const recordRevision = async ({ record, action, before, after, user }) => {
+  const revision = await RecordRevision.create({
+    tenantId: record.tenantId,
+    databaseId: record.databaseId,
+    recordId: record._id,
+    action,
+    before,
+    after,
+    userId: user._id,
+    apiKeyId: user.apiKeyId,
+  });
+
+  const tenant = await Tenant.findById(record.tenantId).select("revisionLimit");
+  const limit = tenant?.revisionLimit || DEFAULT_REVISION_LIMIT;
+
+  const expired = await RecordRevision.find({ recordId: record._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(limit)
+    .select("_id");
+  if (expired.length > 0) {
+    await RecordRevision.deleteMany({ _id: { $in: expired.map((doc) => doc._id) } });
+  }
+
+  return revision;
+};
+
+/**
+ * Writes the CREATE revisions of records inserted in bulk (imports, duplicates).
+ * New records have no older revisions, so nothing needs pruning.
+ */
+export const recordCreationRevisions = (records, user) =>
+  RecordRevision.insertMany(
+    records.map((record) => ({
+      tenantId: record.tenantId,
+      databaseId: record.databaseId,
+      recordId: record._id,
+      action: "CREATE",
+      before: null,
+      after: snapshotValues(record.values),
+      userId: user._id,
+      apiKeyId: user.apiKeyId,
+    }))
+  );
+
+// Deletes the oldest revisions beyond `limit` of every record whose revisions match `match`
+const pruneRevisions = async (match, limit) => {
+  const expired = await RecordRevision.aggregate([
+    { $match: match },
+    { $sort: { recordId: 1, createdAt: -1, _id: -1 } },
+    { $group: { _id: "$recordId", ids: { $push: "$_id" } } },
+    { $project: { ids: { $slice: ["$ids", limit, { $max: [{ $size: "$ids" }, 1] }] } } },
+    { $unwind: "$ids" },
+  ]);
+  if (expired.length > 0) {
+    await RecordRevision.deleteMany({ _id: { $in: expired.map((doc) => doc.ids) } });
+  }
+};
+
+/**
+ * Deletes the oldest revisions of every record of a tenant beyond `limit`.
+ * Used when a tenant lowers its retention limit.
+ */
+export const pruneTenantRevisions = (tenantId, limit) => pruneRevisions({ tenantId }, limit);
+
+/**
+ * Writes the revisions of a bulk change in one insert, optionally inside a transaction.
+ * `changes` are `{ record, action, before, after }`. Call `pruneRecordRevisions` for the
+ * records afterwards.
+ */
+export const recordBulkRevisions = (changes, user, { session } = {}) =>
+  RecordRevision.insertMany(
+    changes.map(({ record, action, before, after }) => ({
+      tenantId: record.tenantId,
+      databaseId: record.databaseId,
+      recordId: record._id,
+      action,
+      before,
+      after,
+      userId: user._id,
+      apiKeyId: user.apiKeyId,
+    })),
+    { session }
+  );
+
+/**
+ * Deletes the oldest revisions of the given records beyond their tenant's retention limit.
+ */
+export const pruneRecordRevisions = async (tenantId, recordIds) => {
+  if (recordIds.length === 0) return;
+  const tenant = await Tenant.findById(tenantId).select("revisionLimit");
+  await pruneRevisions(
+    { tenantId, recordId: { $in: recordIds } },
+    tenant?.revisionLimit || DEFAULT_REVISION_LIMIT
+  );
+};
+
+/**
+ * Field-level differences between two value snapshots, in field name order.
+ * Values are compared by their JSON form, so dates and IDs compare by value.
+ */
+export const diffValues = (before, after) => {
+  const previous = before || {};
+  const next = after || {};
+  const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])].sort();
+
+  return fields
+    .filter((field) => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null))
+    .map((field) => ({
+      field,
+      before: previous[field] ?? null,
+      after: next[field] ?? null,
+    }));
+};
+
+/**
+ * Prepares the values of a revision to be written back onto the record `recordId`.
+ *
+ * The schema may have changed since the revision was taken: values of fields that no longer
+ * exist or are now computed are dropped, and so are values the current field definitions
+ * reject (e.g. after a type change or a new rule). Links to records that are gone are removed.
+ * The result is validated like a new record, so empty fields get their default value, and a
+ * UserInputError lists the required or unique fields the restored record would break.
+ * Returns the Map to store and the names of the fields that could not be restored.
+ */
+export const restorableValues = async (database, snapshot, { tenantId, recordId }) => {
+  const fieldsByName = new Map(database.fields.map((field) => [field.name, field]));
+  const values = {};
+  const droppedFields = [];
+
+  for (const [fieldName, value] of Object.entries(snapshot || {})) {
+    const field = fieldsByName.get(fieldName);
+    if (!field || COMPUTED_TYPES.includes(field.type) || value === null) {
+      if (value !== null) droppedFields.push(fieldName);
+      continue;
+    }
+
+    if (field.type === "relation") {
+      const live = await Record.find({
+        _id: { $in: [].concat(value) },
+        databaseId: field.relation,
+        tenantId,
+        isDeleted: false,
+      }).select("_id");
+      const liveIds = new Set(live.map((record) => record._id.toString()));
+      values[fieldName] = [].concat(value)
+        .map((id) => id.toString())
+        .filter((id) => liveIds.has(id));
+      continue;
+    }
+
+    // Revisions keep dates as Date objects, the input side takes them as strings
+    const raw = value instanceof Date ? value.toISOString() : value;
+    if (checkFieldValue(field, raw).error) {
+      droppedFields.push(fieldName);
+      continue;
+    }
+    values[fieldName] = raw;
+  }
+
+  try {
+    return {
+      values: await validateRecordValues(database, values, {
+        tenantId,
+        isNew: true,
+        recordIds: [recordId],
+      }),
+      droppedFields,
+    };
+  } catch (error) {
+    if (!(error instanceof UserInputError)) throw error;
+    throw new UserInputError(
+      "The revision can't be restored: the record would break the current field constraints.",
+      { fieldErrors: error.extensions?.fieldErrors || [], droppedFields }
+    );
+  }
+};
@@ -0,0 +1,257 @@
+import { UserInputError } from "apollo-server-express";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Record from "../models/Record.js";
+import { buildFormulaStages, formulaReadsRollup } from "./formula.js";
+import { hasAccess } from "./permissions.js";
+
+/*
+ * Rollup fields.
+ *
+ * A rollup follows a relation field of its own database, reads a target field of the
+ * linked records and aggregates it (count, sum, average, ...). Values are computed with a
+ * `$lookup` inside the records pipeline every time records are read, so they are always in
+ * sync with the related records and can be sorted and filtered like stored fields.
+ */
+
+// The value type of a target field, as seen by a rollup
+const valueTypeOf = (field) =>
+  field.type === "formula" ? field.resultType : field.type;
+
+// For every aggregation: which target value types it accepts (null = no target needed or any
+// type) and which type it produces.
+const AGGREGATIONS = {
+  COUNT: { targets: null, resultType: () => "number" },
+  SUM: { targets: ["number"], resultType: () => "number" },
+  AVERAGE: { targets: ["number"], resultType: () => "number" },
+  MIN: { targets: ["number", "date"], resultType: (targetType) => targetType },
+  MAX: { targets: ["number", "date"], resultType: (targetType) => targetType },
+  PERCENT_CHECKED: { targets: ["boolean"], resultType: () => "number" },
+  SHOW_UNIQUE: { targets: null, resultType: () => "list" },
+};
+
+// Turns the array of linked `{ v }` documents into the rolled up value
+const aggregateExpression = (aggregation, linked) => {
+  const values = `${linked}.v`;
+  switch (aggregation) {
+    case "COUNT":
+      return { $size: linked };
+    case "SUM":
+      return { $sum: values };
+    case "AVERAGE":
+      return { $avg: values };
+    case "MIN":
+      return { $min: values };
+    case "MAX":
+      return { $max: values };
+    case "PERCENT_CHECKED":
+      return {
+        $cond: [
+          { $eq: [{ $size: linked }, 0] },
+          0,
+          {
+            $multiply: [
+              100,
+              {
+                $divide: [
+                  { $size: { $filter: { input: linked, cond: { $eq: ["$$this.v", true] } } } },
+                  { $size: linked },
+                ],
+              },
+            ],
+          },
+        ],
+      };
+    case "SHOW_UNIQUE":
+      // Multi-select and relation values are arrays, so flatten before de-duplicating
+      return {
+        $setUnion: [
+          {
+            $reduce: {
+              input: values,
+              initialValue: [],
+              in: {
+                $concatArrays: [
+                  "$$value",
+                  {
+                    $cond: [
+                      { $isArray: "$$this" },
+                      "$$this",
+                      { $cond: [{ $eq: [{ $ifNull: ["$$this", null] }, null] }, [], ["$$this"]] },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        ],
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validates the rollup fields of a schema that is about to be saved and stores each
+ * rollup's result type on its field. Non-rollup fields lose any leftover rollup config.
+ * All problems are reported together in one UserInputError with a `rollupErrors` extension.
+ */
+export const prepareRollupFields = async (database) => {
+  const rollupErrors = [];
+
+  for (const field of database.fields) {
+    if (field.type !== "rollup") {
+      field.rollup = undefined;
+      continue;
+    }
+
+    const fail = (message) => rollupErrors.push({ field: field.name, message });
+    const { relationField, targetField, aggregation } = field.rollup || {};
+
+    if (!relationField || !aggregation) {
+      fail("A rollup needs a relation field and an aggregation.");
+      continue;
+    }
+
+    const relation = database.fields.find((f) => f.name === relationField);
+    if (!relation || relation.type !== "relation" || !relation.relation) {
+      fail(`"${relationField}" is not a relation field of this database.`);
+      continue;
+    }
+
+    // A self-relation is checked against the schema being saved, which may not exist yet
+    const related =
+      relation.relation.toString() === database._id.toString()
+        ? database
+        : await DatabaseDefinition.findOne({
+            _id: relation.relation,
+            tenantId: database.tenantId,
+            isDeleted: false,
+          });
+    if (!related) {
+      fail(`The database related through "${relationField}" no longer exists.`);
+      continue;
+    }
+
+    const { targets, resultType } = AGGREGATIONS[aggregation];
+    let targetType = null;
+
+    if (targetField) {
+      const target = related.fields.find((f) => f.name === targetField);
+      if (!target) {
+        fail(`"${related.name}" has no field named "${targetField}".`);
+        continue;
+      }
+      if (target.type === "rollup") {
+        fail("A rollup cannot target another rollup.");
+        continue;
+      }
+      // Linked records only get their formulas computed, not their rollups
+      if (target.type === "formula" && formulaReadsRollup(related.fields, target.name)) {
+        fail(`A rollup cannot target "${targetField}": it is a formula that reads a rollup.`);
+        continue;
+      }
+      targetType = valueTypeOf(target);
+    } else if (aggregation !== "COUNT") {
+      fail(`${aggregation} needs a target field.`);
+      continue;
+    }
+
+    if (targets && !targets.includes(targetType)) {
+      fail(`${aggregation} needs a ${targets.join(" or ")} target field, "${targetField}" is ${targetType}.`);
+      continue;
+    }
+
+    field.resultType = resultType(targetType);
+  }
+
+  if (rollupErrors.length > 0) {
+    throw new UserInputError("One or more rollups are invalid.", { rollupErrors });
+  }
+};
+
+/**
+ * Builds the stages that compute every rollup field of a database into `values.<field name>`.
+ *
+ * Linked records are looked up inside the same tenant and related database, and soft-deleted
+ * records are skipped. Target formulas of the related database are computed inside the lookup.
+ * A rollup whose relation or target no longer exists evaluates to an empty value, and so
+ * does a rollup over a database the reading `user` can't view (when a user is given).
+ */
+export const buildRollupStages = async (database, user = null) => {
+  const rollupFields = database.fields.filter(
+    (field) => field.type === "rollup" && field.rollup?.aggregation
+  );
+  if (rollupFields.length === 0) return [];
+
+  const relationsByName = new Map(
+    database.fields
+      .filter((field) => field.type === "relation" && field.relation)
+      .map((field) => [field.name, field])
+  );
+
+  const relatedIds = rollupFields
+    .map((field) => relationsByName.get(field.rollup.relationField)?.relation)
+    .filter(Boolean);
+  const relatedDatabases = await DatabaseDefinition.find({
+    _id: { $in: relatedIds },
+    tenantId: database.tenantId,
+    isDeleted: false,
+  });
+  const relatedById = new Map(
+    relatedDatabases
+      .filter((related) => !user || hasAccess(related, user, "VIEW"))
+      .map((related) => [related._id.toString(), related])
+  );
+
+  const stages = [];
+  const computed = {};
+  const temporaryFields = [];
+
+  rollupFields.forEach((field, index) => {
+    const { relationField, targetField, aggregation } = field.rollup;
+    const relation = relationsByName.get(relationField);
+    const related = relation && relatedById.get(relation.relation.toString());
+
+    if (!related || (targetField && !related.fields.some((f) => f.name === targetField))) {
+      computed[`values.${field.name}`] = null;
+      return;
+    }
+
+    const linked = `__rollup${index}`;
+    temporaryFields.push(linked);
+
+    stages.push({
+      $lookup: {
+        from: Record.collection.name,
+        let: {
+          ids: {
+            $cond: [{ $isArray: `$values.${relationField}` }, `$values.${relationField}`, []],
+          },
+          tenantId: "$tenantId",
+        },
+        pipeline: [
+          {
+            $match: {
+              databaseId: related._id,
+              isDeleted: false,
+              $expr: {
+                $and: [{ $in: ["$_id", "$$ids"] }, { $eq: ["$tenantId", "$$tenantId"] }],
+              },
+            },
+          },
+          ...(targetField ? buildFormulaStages(related) : []),
+          { $project: { _id: 0, v: targetField ? `$values.${targetField}` : { $literal: null } } },
+        ],
+        as: linked,
+      },
+    });
+
+    computed[`values.${field.name}`] = aggregateExpression(aggregation, `$${linked}`);
+  });
+
+  stages.push({ $addFields: computed });
+  if (temporaryFields.length > 0) {
+    stages.push({ $project: Object.fromEntries(temporaryFields.map((name) => [name, 0])) });
+  }
+  return stages;
+};
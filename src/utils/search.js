@@ -0,0 +1,192 @@
+import { UserInputError } from "apollo-server-express";
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Record from "../models/Record.js";
+import { hasAccess } from "./permissions.js";
+import { escapeRegex } from "./recordFilter.js";
+
+/*
+ * Workspace search.
+ *
+ * Uses the MongoDB text indexes on databases (name, field names, select options) and on
+ * record values, so matching and relevance ranking (`textScore`) are done by the index.
+ * The query follows the `$text` syntax: words match whole words in any order,
+ * "quoted phrases" match exactly and -words exclude results. Matching ignores case and
+ * diacritics; words are not stemmed because record values can be in any language.
+ *
+ * Computed fields (formulas, rollups) are not stored, so they are not searched.
+ */
+
+export const MAX_QUERY_LENGTH = 200;
+export const DEFAULT_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_LIMIT = 200;
+
+// Characters shown around a match in a highlight snippet
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Validates a search query and returns it trimmed.
+ */
+export const normalizeSearchQuery = (query) => {
+  const trimmed = (query || "").trim();
+  if (trimmed === "") throw new UserInputError("Search query cannot be empty.");
+  if (trimmed.length > MAX_QUERY_LENGTH) {
+    throw new UserInputError(`Search query cannot be longer than ${MAX_QUERY_LENGTH} characters.`);
+  }
+  return trimmed;
+};
+
+/**
+ * Splits a query into the terms to highlight: quoted phrases and plain words.
+ * Excluded (-word) terms are left out.
+ */
+export const highlightTerms = (query) => {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) terms.push(match[1].trim());
+    } else if (!match[2].startsWith("-")) {
+      terms.push(match[2]);
+    }
+  }
+  return terms;
+};
+
+// Case and diacritic insensitive copy of a string with one character per original
+// character, so match positions in the copy are positions in the original.
+const fold = (text) =>
+  text
+    .split("")
+    .map((char) => {
+      const folded = char.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+      return folded.length === 1 ? folded : char;
+    })
+    .join("");
+
+/**
+ * Finds the terms in a text and returns a snippet around the first match with the
+ * positions of every match inside the snippet, or null when no term occurs.
+ * Terms match whole words, like the text index does.
+ */
+export const buildHighlight = (text, terms) => {
+  if (typeof text !== "string" || terms.length === 0) return null;
+
+  const folded = fold(text);
+  const alternatives = terms.map((term) => escapeRegex(fold(term))).join("|");
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, "gu");
+  const ranges = [...folded.matchAll(pattern)].map((m) => ({
+    start: m.index,
+    length: m[0].length,
+  }));
+  if (ranges.length === 0) return null;
+
+  const start = Math.max(0, ranges[0].start - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, ranges[0].start + ranges[0].length + SNIPPET_CONTEXT);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: ranges
+      .filter((range) => range.start >= start && range.start + range.length <= end)
+      .map((range) => ({ start: range.start - start + prefix.length, length: range.length })),
+  };
+};
+
+// Highlights of a database's own name, field names and select options
+const databaseHighlights = (database, terms) => {
+  const highlights = [];
+  const add = (source, field, text) => {
+    const highlight = buildHighlight(text, terms);
+    if (highlight) highlights.push({ source, field, ...highlight });
+  };
+
+  add("DATABASE_NAME", null, database.name);
+  for (const field of database.fields) {
+    add("FIELD_NAME", field.name, field.name);
+    for (const option of field.options || []) add("SELECT_OPTION", field.name, option);
+  }
+  return highlights;
+};
+
+// Highlights of a record's stored values (multi-select values highlight each option)
+const recordHighlights = (record, terms) => {
+  const highlights = [];
+  for (const [field, value] of Object.entries(record.values || {})) {
+    for (const text of Array.isArray(value) ? value : [value]) {
+      const highlight = buildHighlight(text, terms);
+      if (highlight) highlights.push({ source: "RECORD_VALUE", field, ...highlight });
+    }
+  }
+  return highlights;
+};
+
+/**
+ * Searches every database of the user's tenant the user can view.
+ *
+ * Returns result groups, one per database with a match, ranked by their best score:
+ * `{ database, score, highlights, records: [{ record, score, highlights }] }`.
+ * At most `limit` records are returned over all groups, best matches first.
+ */
+export const searchWorkspace = async (query, user, { limit = DEFAULT_SEARCH_LIMIT } = {}) => {
+  const search = normalizeSearchQuery(query);
+  if (limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    throw new UserInputError(`Limit must be between 1 and ${MAX_SEARCH_LIMIT}.`);
+  }
+  const terms = highlightTerms(search);
+
+  // Access is checked per database, so the candidates are every live database of the tenant
+  const databases = (
+    await DatabaseDefinition.find({ tenantId: user.tenantId, isDeleted: false })
+  ).filter((database) => hasAccess(database, user, "VIEW"));
+  if (databases.length === 0) return [];
+  const visibleIds = databases.map((database) => database._id);
+
+  const [databaseHits, recordHits] = await Promise.all([
+    DatabaseDefinition.find(
+      { $text: { $search: search }, tenantId: user.tenantId, _id: { $in: visibleIds } },
+      { score: { $meta: "textScore" } }
+    ).lean(),
+    Record.find(
+      {
+        $text: { $search: search },
+        tenantId: user.tenantId,
+        databaseId: { $in: visibleIds },
+        isDeleted: false,
+      },
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const groups = new Map();
+  const groupFor = (databaseId) => {
+    const key = databaseId.toString();
+    if (!groups.has(key)) {
+      groups.set(key, {
+        database: databases.find((database) => database._id.toString() === key),
+        score: 0,
+        highlights: [],
+        records: [],
+      });
+    }
+    return groups.get(key);
+  };
+
+  for (const hit of databaseHits) {
+    const group = groupFor(hit._id);
+    group.score = Math.max(group.score, hit.score);
+    group.highlights = databaseHighlights(group.database, terms);
+  }
+  for (const hit of recordHits) {
+    const { score, ...record } = hit;
+    const group = groupFor(record.databaseId);
+    group.score = Math.max(group.score, score);
+    group.records.push({ record, score, highlights: recordHighlights(record, terms) });
+  }
+
+  return [...groups.values()].sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,12 @@
+import crypto from "crypto";
+
+/**
+ * Generates a random, URL-safe secret token.
+ */
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Hashes a secret token for storage. Tokens are high-entropy random values,
+ * so a plain SHA-256 is enough and allows looking them up by hash.
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
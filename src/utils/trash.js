@@ -0,0 +1,50 @@
+import DatabaseDefinition from "../models/DatabaseDefinition.js";
+import Record from "../models/Record.js";
+import RecordRevision from "../models/RecordRevision.js";
+import View from "../models/View.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days trashed items are kept when the tenant has no retention of its own
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * When an item trashed at `deletedAt` will be purged by the background job.
+ * Items trashed before `deletedAt` was tracked are never purged automatically.
+ */
+export const purgeDate = (deletedAt, retentionDays) =>
+  deletedAt
+    ? new Date(deletedAt.getTime() + (retentionDays || DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS)
+    : null;
+
+/**
+ * The date before which trashed items of a tenant are due for purging.
+ */
+export const purgeCutoff = (retentionDays, now = new Date()) =>
+  new Date(now.getTime() - (retentionDays || DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS);
+
+/**
+ * Permanently deletes the records matching `filter` together with their revisions.
+ * Returns the number of records deleted.
+ */
+export const purgeRecords = async (filter) => {
+  const ids = (await Record.find(filter).select("_id")).map((record) => record._id);
+  if (ids.length === 0) return 0;
+
+  await RecordRevision.deleteMany({ recordId: { $in: ids } });
+  await Record.deleteMany({ _id: { $in: ids } });
+  return ids.length;
+};
+
+/**
+ * Permanently deletes a database with all of its records (trashed or not), their
+ * revisions and the database's views. Returns the number of records deleted.
+ */
+export const purgeDatabase = async (database) => {
+  const scope = { databaseId: database._id, tenantId: database.tenantId };
+
+  const recordCount = await purgeRecords(scope);
+  await View.deleteMany(scope);
+  await DatabaseDefinition.deleteOne({ _id: database._id });
+  return recordCount;
+};
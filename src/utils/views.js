@@ -0,0 +1,142 @@
+import { UserInputError } from "apollo-server-express";
+import { buildRecordFilter } from "./recordFilter.js";
+import { isSortableField } from "./recordsPipeline.js";
+
+// Plain JSON copy of a GraphQL input (input objects have a null prototype)
+const toPlain = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)));
+
+// Rewrites every condition of a filter tree with `mapCondition`.
+// A condition mapped to null is dropped, and so are groups left empty by that.
+const mapFilterConditions = (node, mapCondition) => {
+  if (!node) return null;
+  const { and, or, not, ...condition } = node;
+  const mapped = {};
+
+  if (and) {
+    const children = and.map((child) => mapFilterConditions(child, mapCondition)).filter(Boolean);
+    if (children.length > 0) mapped.and = children;
+  }
+  if (or) {
+    const children = or.map((child) => mapFilterConditions(child, mapCondition)).filter(Boolean);
+    if (children.length > 0) mapped.or = children;
+  }
+  if (not) {
+    const child = mapFilterConditions(not, mapCondition);
+    if (child) mapped.not = child;
+  }
+  if (Object.keys(condition).length > 0) {
+    const rewritten = mapCondition(condition);
+    if (rewritten) Object.assign(mapped, rewritten);
+  }
+
+  return Object.keys(mapped).length > 0 ? mapped : null;
+};
+
+/**
+ * Validates a `ViewInput` against a database and converts it into the shape stored on the
+ * `View` model: fields are referenced by their stable `_id` instead of their name, so a view
+ * keeps working when fields are renamed.
+ */
+export const prepareViewInput = (input, database) => {
+  const fieldsByName = new Map(database.fields.map((field) => [field.name, field]));
+  const fieldIds = new Set(database.fields.map((field) => field._id.toString()));
+  const view = { name: input.name };
+
+  if (!input.name || input.name.trim() === "") {
+    throw new UserInputError("View name cannot be empty.");
+  }
+
+  if (input.layout) view.layout = input.layout.toLowerCase();
+
+  if (input.filter !== undefined) {
+    const filter = toPlain(input.filter);
+    if (filter) {
+      // Reject invalid filters now rather than every time the view is used
+      buildRecordFilter(filter, database);
+    }
+    view.filter = mapFilterConditions(filter, ({ field, ...operators }) => ({
+      fieldId: fieldsByName.get(field)._id.toString(),
+      ...operators,
+    }));
+  }
+
+  if (input.sort !== undefined) {
+    if (input.sort) {
+      const field = fieldsByName.get(input.sort.field);
+      if (!field) throw new UserInputError(`Cannot sort by unknown field "${input.sort.field}".`);
+      if (!isSortableField(field)) {
+        throw new UserInputError(
+          `Cannot sort by "${field.name}": it holds a list of values. Sort by another field.`
+        );
+      }
+      view.sort = {
+        fieldId: field._id,
+        order: input.sort.order.toUpperCase() === "DESC" ? "DESC" : "ASC",
+      };
+    } else {
+      view.sort = undefined;
+    }
+  }
+
+  if (input.visibleFieldIds !== undefined) {
+    const unknown = (input.visibleFieldIds || []).filter((id) => !fieldIds.has(id));
+    if (unknown.length > 0) {
+      throw new UserInputError(`Unknown field IDs: ${unknown.join(", ")}.`);
+    }
+    view.visibleFieldIds = [...new Set(input.visibleFieldIds || [])];
+  }
+
+  if (input.groupByFieldId !== undefined) {
+    if (input.groupByFieldId && !fieldIds.has(input.groupByFieldId)) {
+      throw new UserInputError(`Unknown field ID "${input.groupByFieldId}".`);
+    }
+    view.groupByFieldId = input.groupByFieldId || undefined;
+  }
+
+  if (input.pageSize !== undefined) {
+    if (input.pageSize !== null && input.pageSize < 1) {
+      throw new UserInputError("Page size must be at least 1.");
+    }
+    view.pageSize = input.pageSize ?? undefined;
+  }
+
+  return view;
+};
+
+/**
+ * Returns a view's filter as a `RecordFilterInput` using the database's current field names.
+ * Conditions on fields that were deleted since the view was saved are ignored.
+ */
+export const resolveViewFilter = (view, database) => {
+  const fieldsById = new Map(database.fields.map((field) => [field._id.toString(), field]));
+
+  return mapFilterConditions(view.filter, ({ fieldId, ...operators }) => {
+    const field = fieldsById.get(fieldId);
+    return field ? { field: field.name, ...operators } : null;
+  });
+};
+
+/**
+ * Returns a view's sort as a `SortInput`, or null when it has none or its field was deleted
+ * (or can no longer be sorted by, e.g. after a change to multi-select).
+ */
+export const resolveViewSort = (view, database) => {
+  if (!view.sort?.fieldId) return null;
+  const field = database.fields.id(view.sort.fieldId);
+  return field && isSortableField(field) ? { field: field.name, order: view.sort.order } : null;
+};
+
+/**
+ * Combines a saved view with the arguments of a records query.
+ * The view's filter and the query's filter must both match; an explicit sort or page size
+ * in the query wins over the view's.
+ */
+export const applyView = (view, database, { filter, sort, ...rest }) => {
+  const viewFilter = resolveViewFilter(view, database);
+  return {
+    ...rest,
+    filter: viewFilter && filter ? { and: [viewFilter, filter] } : viewFilter || filter,
+    sort: sort || resolveViewSort(view, database),
+    pageSize: view.pageSize,
+  };
+};
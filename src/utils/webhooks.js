@@ -0,0 +1,193 @@
+import crypto from "crypto";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+/*
+ * Outbound webhooks.
+ *
+ * Every new ActivityLog entry is matched against the tenant's active webhooks (by action
+ * and, optionally, database). A matching webhook gets a WebhookDelivery, which is sent
+ * right away and retried with exponential backoff by the delivery job until it succeeds
+ * or runs out of attempts. Deliveries are the log that `webhookDeliveries` shows.
+ *
+ * Each request is a JSON POST signed with the webhook's secret:
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *   X-Webhook-Timestamp: <unix seconds>
+ * Receivers should recompute the HMAC and reject old timestamps to prevent replays.
+ */
+
+export const MAX_ATTEMPTS = 8;
+
+// First retry after 30 seconds, then doubling: 30s, 1m, 2m, ... about an hour in total
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Deliveries stuck in SENDING longer than this (e.g. the process died) are retried
+const SENDING_TIMEOUT_MS = 60 * 1000;
+
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+/**
+ * Delay before the next attempt after `attempts` failed attempts.
+ */
+export const retryDelay = (attempts) => BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0);
+
+/**
+ * Signs a request body: hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret.
+ */
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+/**
+ * Generates a new webhook signing secret.
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+/**
+ * Checks that a webhook target is an absolute http(s) URL.
+ */
+export const isValidWebhookUrl = (url) => {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// The JSON body sent for an activity log entry
+const buildPayload = (log) =>
+  JSON.parse(
+    JSON.stringify({
+      event: log.action,
+      tenantId: log.tenantId,
+      activityLogId: log._id,
+      userId: log.userId,
+      apiKeyId: log.apiKeyId,
+      details: log.details ?? null,
+      createdAt: log.createdAt,
+    })
+  );
+
+/**
+ * Sends one attempt of a delivery and records the outcome.
+ *
+ * The delivery is claimed first, so a delivery is never sent twice at the same time
+ * (e.g. by the job and by a redelivery). Returns the updated delivery, or null if it
+ * wasn't due or was claimed elsewhere.
+ */
+export const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "PENDING", nextAttemptAt: { $lte: now } },
+    { $set: { status: "SENDING", lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findOne({ _id: delivery.webhookId, tenantId: delivery.tenantId });
+  if (!webhook || !webhook.isActive) {
+    delivery.status = "FAILED";
+    delivery.error = webhook ? "The webhook is disabled." : "The webhook was deleted.";
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Notion-DB-GraphQL-Webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    delivery.error = response.ok ? undefined : `Receiver answered with HTTP ${response.status}.`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = error.name === "TimeoutError" ? "The receiver did not answer in time." : error.message;
+  }
+
+  if (!delivery.error) {
+    delivery.status = "SUCCEEDED";
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = "FAILED";
+  } else {
+    delivery.status = "PENDING";
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+  }
+  return delivery.save();
+};
+
+/**
+ * Creates a delivery of `payload` to a webhook and sends its first attempt in the
+ * background. Returns the delivery as created.
+ */
+export const createDelivery = async (webhook, event, payload, extra = {}) => {
+  const delivery = await WebhookDelivery.create({
+    tenantId: webhook.tenantId,
+    webhookId: webhook._id,
+    event,
+    payload,
+    ...extra,
+  });
+
+  attemptDelivery(delivery._id).catch((error) =>
+    console.error(`Webhook delivery ${delivery._id} failed:`, error.message)
+  );
+  return delivery;
+};
+
+/**
+ * Creates a delivery for every active webhook of the log's tenant that listens to the
+ * log's action (and, when the webhook is limited to a database, concerns that database).
+ */
+export const queueWebhookDeliveries = async (log) => {
+  const webhooks = await Webhook.find({
+    tenantId: log.tenantId,
+    isActive: true,
+    events: log.action,
+  });
+
+  const databaseId = log.details?.databaseId?.toString();
+  const matching = webhooks.filter(
+    (webhook) => !webhook.databaseId || webhook.databaseId.toString() === databaseId
+  );
+  if (matching.length === 0) return;
+
+  const payload = buildPayload(log);
+  await Promise.all(matching.map((webhook) => createDelivery(webhook, log.action, payload)));
+};
+
+/**
+ * Sends every delivery whose retry is due, oldest first, and puts deliveries that were
+ * left in SENDING by a crashed process back in the queue. Returns how many were attempted.
+ */
+export const processDueDeliveries = async (limit = 50) => {
+  await WebhookDelivery.updateMany(
+    { status: "SENDING", lastAttemptAt: { $lt: new Date(Date.now() - SENDING_TIMEOUT_MS) } },
+    { $set: { status: "PENDING", nextAttemptAt: new Date() } }
+  );
+
+  const due = await WebhookDelivery.find({ status: "PENDING", nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select("_id");
+
+  for (const { _id } of due) {
+    await attemptDelivery(_id);
+  }
+  return due.length;
+};